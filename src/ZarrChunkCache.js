@@ -0,0 +1,123 @@
+/**
+ * Approximate memory taken by an entry for a chunk that does not exist in the store
+ */
+const MISSING_CHUNK_SIZE = 64;
+
+/**
+ * Least-recently-used cache of decoded chunks with a memory budget in bytes.
+ *
+ * Lives on the main thread so that every worker of the pool and every ZarrTile
+ * reading the same store share it. Keys combine the store URL with the zarr.js
+ * chunk key, which encodes the array path and the time, band and spatial chunk
+ * indices. Chunks missing from the store are cached as null so they are not
+ * requested again.
+ */
+export default class ZarrChunkCache {
+
+  /**
+   * @param {number} maxSize Memory budget in bytes, 0 disables the cache
+   */
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+    this.size = 0;
+    this.hits = 0;
+    this.misses = 0;
+
+    // Map iteration order doubles as recency order, oldest first
+    this.entries_ = new Map();
+  }
+
+  /**
+   * Build the cache key of a chunk
+   * @param {string} storeUrl Base URL of the store
+   * @param {string} chunkKey zarr.js chunk key, e.g. "group/1/value/0.2.1.3"
+   */
+  static getKey(storeUrl, chunkKey) {
+    return `${storeUrl}|${chunkKey}`;
+  }
+
+  /**
+   * Look up a chunk and mark it as recently used
+   * @return {Object} {found, buffer} where buffer is null for chunks missing from the store
+   */
+  get(key) {
+    const entry = this.entries_.get(key);
+    if (!entry) {
+      this.misses++;
+      return { found: false, buffer: null };
+    }
+
+    this.entries_.delete(key);
+    this.entries_.set(key, entry);
+    this.hits++;
+    return { found: true, buffer: entry.buffer };
+  }
+
+  /**
+   * Add a decoded chunk, evicting the least recently used chunks to stay within budget
+   * @param {string} key Cache key
+   * @param {ArrayBuffer|null} buffer Decoded chunk bytes, or null if the chunk is missing
+   */
+  set(key, buffer) {
+    const size = buffer ? buffer.byteLength : MISSING_CHUNK_SIZE;
+    if (size > this.maxSize) return;
+
+    this._delete(key);
+    this.entries_.set(key, { buffer, size });
+    this.size += size;
+    this._evict(this.maxSize);
+  }
+
+  /**
+   * Change the memory budget, evicting chunks if it shrinks
+   * @param {number} maxSize Memory budget in bytes, 0 disables the cache
+   */
+  setMaxSize(maxSize) {
+    this.maxSize = maxSize;
+    this._evict(maxSize);
+  }
+
+  /**
+   * Remove all chunks
+   */
+  clear() {
+    this.entries_.clear();
+    this.size = 0;
+  }
+
+  /**
+   * Get cache usage for diagnostics
+   */
+  getStatus() {
+    return {
+      maxSize: this.maxSize,
+      size: this.size,
+      entries: this.entries_.size,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+
+  /**
+   * Remove an entry
+   * @private
+   */
+  _delete(key) {
+    const entry = this.entries_.get(key);
+    if (entry) {
+      this.entries_.delete(key);
+      this.size -= entry.size;
+    }
+  }
+
+  /**
+   * Drop least recently used entries until the cache fits in the given size
+   * @private
+   */
+  _evict(maxSize) {
+    for (const key of this.entries_.keys()) {
+      if (this.size <= maxSize) break;
+      this._delete(key);
+    }
+  }
+}
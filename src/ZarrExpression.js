@@ -0,0 +1,328 @@
+/**
+ * Functions available in expressions, by name and number of arguments (null: any, at least one)
+ */
+const FUNCTIONS = {
+  abs: [Math.abs, 1],
+  sqrt: [Math.sqrt, 1],
+  exp: [Math.exp, 1],
+  log: [Math.log, 1],
+  log10: [Math.log10, 1],
+  floor: [Math.floor, 1],
+  ceil: [Math.ceil, 1],
+  round: [Math.round, 1],
+  pow: [Math.pow, 2],
+  min: [Math.min, null],
+  max: [Math.max, null],
+  clamp: [(value, min, max) => Math.min(Math.max(value, min), max), 3]
+};
+
+/**
+ * Named constants available in expressions
+ */
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+/**
+ * Binary operators
+ */
+const OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '^': (a, b) => a ** b
+};
+
+const TOKEN_PATTERN = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\*\*|[-+*/%^(),]))/y;
+
+/**
+ * Band math expression over dataset bands, e.g. "(b7 - b3) / (b7 + b3)" or "(nir - red) / (nir + red)".
+ *
+ * Bands are referenced by band name or as b<index>. Supports + - * / % ^ (or **), unary minus,
+ * parentheses, numbers, the constants pi and e and the functions abs, sqrt, exp, log, log10,
+ * floor, ceil, round, pow, min, max and clamp(value, min, max). Expressions are parsed once
+ * and compiled to closures, so nothing is evaluated as JavaScript source.
+ */
+export default class ZarrExpression {
+
+  /**
+   * @param {string} source Expression text
+   * @param {Object} [options]
+   * @param {Array<string>} [options.bandNames] Dataset band names, by band index
+   * @param {number} [options.bandCount] Number of dataset bands, to check band indices
+   */
+  constructor(source, { bandNames = null, bandCount = null } = {}) {
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new Error('Expression must be a non-empty string');
+    }
+
+    this.source = source;
+    this.bandNames_ = bandNames;
+    this.bandCount_ = bandCount;
+
+    /**
+     * Dataset band indices the expression reads, in order of first use;
+     * evaluate() takes the pixel values in this order
+     * @type {Array<number>}
+     */
+    this.bands = [];
+
+    this.tokens_ = this._tokenize(source);
+    this.position_ = 0;
+
+    const node = this._parseAdditive();
+    if (this.position_ < this.tokens_.length) {
+      this._fail(`unexpected "${this.tokens_[this.position_].text}"`, this.tokens_[this.position_]);
+    }
+
+    const evaluate = this._compile(node);
+
+    /**
+     * Evaluate the expression for one pixel
+     * @param {Array<number>} values Values of this.bands at the pixel
+     * @return {number}
+     */
+    this.evaluate = evaluate;
+  }
+
+  /**
+   * Split the source into number, identifier and operator tokens
+   * @private
+   */
+  _tokenize(source) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < source.length) {
+      if (source.slice(TOKEN_PATTERN.lastIndex).trim() === '') break;
+
+      const start = TOKEN_PATTERN.lastIndex;
+      const match = TOKEN_PATTERN.exec(source);
+      if (!match) {
+        const rest = source.slice(start);
+        this._fail(`unexpected "${rest.trimStart()[0]}"`, { position: start + rest.length - rest.trimStart().length });
+      }
+
+      const position = TOKEN_PATTERN.lastIndex - (match[1] ?? match[2] ?? match[3]).length;
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'number', text: match[1], value: Number(match[1]), position });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: 'identifier', text: match[2], position });
+      } else {
+        tokens.push({ type: 'operator', text: match[3] === '**' ? '^' : match[3], position });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * additive := multiplicative (('+' | '-') multiplicative)*
+   * @private
+   */
+  _parseAdditive() {
+    let node = this._parseMultiplicative();
+    while (this._peekOperator('+', '-')) {
+      const operator = this.tokens_[this.position_++].text;
+      node = { type: 'binary', operator, left: node, right: this._parseMultiplicative() };
+    }
+    return node;
+  }
+
+  /**
+   * multiplicative := unary (('*' | '/' | '%') unary)*
+   * @private
+   */
+  _parseMultiplicative() {
+    let node = this._parseUnary();
+    while (this._peekOperator('*', '/', '%')) {
+      const operator = this.tokens_[this.position_++].text;
+      node = { type: 'binary', operator, left: node, right: this._parseUnary() };
+    }
+    return node;
+  }
+
+  /**
+   * unary := ('-' | '+') unary | power
+   * @private
+   */
+  _parseUnary() {
+    if (this._peekOperator('-', '+')) {
+      const operator = this.tokens_[this.position_++].text;
+      const operand = this._parseUnary();
+      return operator === '-' ? { type: 'negate', operand } : operand;
+    }
+    return this._parsePower();
+  }
+
+  /**
+   * power := primary ('^' unary)?, right associative so -2^2 is -4 and 2^-1 is 0.5
+   * @private
+   */
+  _parsePower() {
+    const base = this._parsePrimary();
+    if (this._peekOperator('^')) {
+      this.position_++;
+      return { type: 'binary', operator: '^', left: base, right: this._parseUnary() };
+    }
+    return base;
+  }
+
+  /**
+   * primary := number | band | constant | function '(' arguments ')' | '(' additive ')'
+   * @private
+   */
+  _parsePrimary() {
+    const token = this.tokens_[this.position_++];
+    if (!token) {
+      this._fail('unexpected end of expression', { position: this.source.length });
+    }
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'operator' && token.text === '(') {
+      const node = this._parseAdditive();
+      this._expectOperator(')');
+      return node;
+    }
+
+    if (token.type === 'identifier') {
+      if (this._peekOperator('(')) {
+        return this._parseCall(token);
+      }
+      return this._resolveIdentifier(token);
+    }
+
+    this._fail(`unexpected "${token.text}"`, token);
+  }
+
+  /**
+   * Parse the arguments of a function call
+   * @private
+   */
+  _parseCall(token) {
+    const entry = Object.hasOwn(FUNCTIONS, token.text) ? FUNCTIONS[token.text] : null;
+    if (!entry) {
+      this._fail(`unknown function "${token.text}"`, token);
+    }
+
+    this.position_++; // '('
+    const args = [];
+    if (!this._peekOperator(')')) {
+      args.push(this._parseAdditive());
+      while (this._peekOperator(',')) {
+        this.position_++;
+        args.push(this._parseAdditive());
+      }
+    }
+    this._expectOperator(')');
+
+    const [fn, arity] = entry;
+    if (arity === null ? args.length === 0 : args.length !== arity) {
+      this._fail(`${token.text}() takes ${arity === null ? 'at least 1 argument' : `${arity} argument${arity > 1 ? 's' : ''}`}, got ${args.length}`, token);
+    }
+
+    return { type: 'call', fn, args };
+  }
+
+  /**
+   * Resolve a band name, b<index> or constant
+   * @private
+   */
+  _resolveIdentifier(token) {
+    const name = token.text;
+
+    let band = this.bandNames_ ? this.bandNames_.indexOf(name) : -1;
+    if (band === -1 && /^b\d+$/.test(name)) {
+      band = Number(name.slice(1));
+    }
+
+    if (band === -1) {
+      if (Object.hasOwn(CONSTANTS, name)) {
+        return { type: 'number', value: CONSTANTS[name] };
+      }
+      this._fail(`unknown band "${name}"`, token);
+    }
+
+    if (this.bandCount_ !== null && band >= this.bandCount_) {
+      this._fail(`band ${name} exceeds total bands available (${this.bandCount_})`, token);
+    }
+
+    let index = this.bands.indexOf(band);
+    if (index === -1) {
+      index = this.bands.push(band) - 1;
+    }
+    return { type: 'band', index };
+  }
+
+  /**
+   * Check whether the next token is one of the given operators
+   * @private
+   */
+  _peekOperator(...operators) {
+    const token = this.tokens_[this.position_];
+    return token?.type === 'operator' && operators.includes(token.text);
+  }
+
+  /**
+   * Consume an operator or fail
+   * @private
+   */
+  _expectOperator(operator) {
+    if (!this._peekOperator(operator)) {
+      const token = this.tokens_[this.position_];
+      this._fail(token ? `expected "${operator}", got "${token.text}"` : `expected "${operator}"`,
+        token || { position: this.source.length });
+    }
+    this.position_++;
+  }
+
+  /**
+   * Compile a syntax tree node to a closure over the pixel values
+   * @private
+   */
+  _compile(node) {
+    switch (node.type) {
+      case 'number': {
+        const value = node.value;
+        return () => value;
+      }
+      case 'band': {
+        const index = node.index;
+        return (values) => values[index];
+      }
+      case 'negate': {
+        const operand = this._compile(node.operand);
+        return (values) => -operand(values);
+      }
+      case 'binary': {
+        const operator = OPERATORS[node.operator];
+        const left = this._compile(node.left);
+        const right = this._compile(node.right);
+        return (values) => operator(left(values), right(values));
+      }
+      case 'call': {
+        const fn = node.fn;
+        const args = node.args.map(arg => this._compile(arg));
+        if (args.length === 1) {
+          const [arg] = args;
+          return (values) => fn(arg(values));
+        }
+        return (values) => fn(...args.map(arg => arg(values)));
+      }
+    }
+  }
+
+  /**
+   * Throw a syntax error pointing at a token
+   * @private
+   */
+  _fail(message, token) {
+    throw new Error(`Expression "${this.source}": ${message} at position ${token.position}`);
+  }
+}
@@ -0,0 +1,196 @@
+import Control from 'ol/control/Control.js';
+import { unByKey } from 'ol/Observable.js';
+import { COLORMAP_TYPES } from './colormaps.js';
+
+/**
+ * Source properties that change the legend, besides the 'dimension:<name>' properties
+ */
+const LEGEND_PROPERTIES = ['time', 'bands', 'expressions', 'temporalComposite', 'difference', 'colormap', 'hiddenCategories'];
+
+/**
+ * OpenLayers control that shows the legend of a ZarrTile source.
+ *
+ * The content comes from ZarrTile.getLegend(): a color bar labelled with data values for
+ * colormaps, or one row per class for categorical data, where clicking a class shows or
+ * hides it. The legend follows the source's time, bands, extra dimension indices, colormap
+ * and class visibility, and is hidden while the source has nothing to show.
+ */
+export default class ZarrLegend extends Control {
+
+  /**
+   * @param {Object} options
+   * @param {import('./ZarrTile.js').default} options.source Source to show the legend of
+   * @param {string} [options.title] Title, defaults to the band name or expression
+   * @param {number} [options.ticks=3] Number of value labels under a color bar
+   * @param {Function} [options.formatValue] Formats a data value for the labels
+   * @param {boolean} [options.toggleCategories=true] Whether clicking a class toggles its visibility
+   * @param {string} [options.className='ol-zarr-legend'] CSS class of the control element
+   * @param {HTMLElement|string} [options.target] Element to render the control into, outside the map
+   */
+  constructor(options) {
+    const element = document.createElement('div');
+    element.className = `${options.className || 'ol-zarr-legend'} ol-unselectable ol-control`;
+    element.style.display = 'none';
+
+    super({ element, target: options.target });
+
+    this.title_ = options.title ?? null;
+    this.ticks_ = Math.max(2, options.ticks ?? 3);
+    this.formatValue_ = options.formatValue || ZarrLegend.defaultFormatValue;
+    this.toggleCategories_ = options.toggleCategories ?? true;
+
+    this.source_ = null;
+    this.sourceKeys_ = [];
+    this.setSource(options.source);
+  }
+
+  /**
+   * Default value label: integers as they are, other values with 4 significant digits
+   * @param {number} value
+   * @return {string}
+   */
+  static defaultFormatValue(value) {
+    return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(4)));
+  }
+
+  /**
+   * Change the source the legend is shown for
+   */
+  setSource(source) {
+    unByKey(this.sourceKeys_);
+    this.sourceKeys_ = [];
+    this.source_ = source || null;
+
+    if (this.source_) {
+      this.sourceKeys_.push(
+        this.source_.on('propertychange', (event) => {
+          if (LEGEND_PROPERTIES.includes(event.key) || event.key.startsWith('dimension:')) this.update();
+        }),
+        // Sampled statistics arrive later and change the data values of the colors
+        this.source_.on('change', () => this.update())
+      );
+    }
+
+    this.update();
+  }
+
+  /**
+   * Render the source's current legend
+   */
+  update() {
+    const legend = this.source_?.getLegend();
+    if (!legend) {
+      this.element.style.display = 'none';
+      this.element.replaceChildren();
+      return;
+    }
+
+    const title = document.createElement('div');
+    title.className = 'ol-zarr-legend-title';
+    title.textContent = this.title_ ?? legend.title;
+
+    const content = legend.type === 'categories' ?
+      this._renderCategories(legend.entries) :
+      this._renderColorBar(legend);
+
+    this.element.replaceChildren(title, content);
+    this.element.style.display = '';
+  }
+
+  /**
+   * One row per class with a color swatch and label
+   * @private
+   */
+  _renderCategories(entries) {
+    const list = document.createElement('div');
+    list.className = 'ol-zarr-legend-categories';
+
+    for (const { value, label, color, visible } of entries) {
+      const row = document.createElement('div');
+      row.className = 'ol-zarr-legend-category';
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '4px';
+      row.style.opacity = visible ? '' : '0.4';
+
+      const swatch = document.createElement('span');
+      swatch.style.display = 'inline-block';
+      swatch.style.width = '12px';
+      swatch.style.height = '12px';
+      swatch.style.background = ZarrLegend._cssColor(color);
+
+      const text = document.createElement('span');
+      text.textContent = label;
+      text.title = String(value);
+
+      row.append(swatch, text);
+
+      if (this.toggleCategories_) {
+        row.style.cursor = 'pointer';
+        row.addEventListener('click', () => this.source_.setCategoryVisible(value, !visible));
+      }
+
+      list.appendChild(row);
+    }
+
+    return list;
+  }
+
+  /**
+   * Horizontal color bar with evenly spaced value labels
+   * @private
+   */
+  _renderColorBar({ colormapType, min, max, stops }) {
+    const container = document.createElement('div');
+    container.className = 'ol-zarr-legend-colorbar';
+
+    const bar = document.createElement('div');
+    bar.style.height = '12px';
+    bar.style.minWidth = '150px';
+    bar.style.background = `linear-gradient(to right, ${ZarrLegend._gradientStops(stops, colormapType)})`;
+
+    const labels = document.createElement('div');
+    labels.style.display = 'flex';
+    labels.style.justifyContent = 'space-between';
+    for (let i = 0; i < this.ticks_; i++) {
+      const label = document.createElement('span');
+      label.textContent = this.formatValue_(min + (i / (this.ticks_ - 1)) * (max - min));
+      labels.appendChild(label);
+    }
+
+    container.append(bar, labels);
+    return container;
+  }
+
+  /**
+   * CSS gradient color stops; discrete colormaps hold each color up to the next stop
+   * @private
+   */
+  static _gradientStops(stops, colormapType) {
+    if (colormapType !== COLORMAP_TYPES.DISCRETE) {
+      return stops.map(({ position, color }) => `${ZarrLegend._cssColor(color)} ${position * 100}%`).join(', ');
+    }
+
+    return stops.map(({ position, color }, i) => {
+      const end = i < stops.length - 1 ? stops[i + 1].position : 1;
+      const start = i === 0 ? 0 : position;
+      return `${ZarrLegend._cssColor(color)} ${start * 100}% ${end * 100}%`;
+    }).join(', ');
+  }
+
+  /**
+   * @private
+   */
+  static _cssColor([r, g, b, a]) {
+    return `rgba(${r}, ${g}, ${b}, ${a / 255})`;
+  }
+
+  /**
+   * Stop following the source
+   */
+  disposeInternal() {
+    unByKey(this.sourceKeys_);
+    this.sourceKeys_ = [];
+    super.disposeInternal();
+  }
+}
@@ -0,0 +1,1019 @@
+import { KeyError, HTTPError } from 'https://cdn.skypack.dev/pin/zarr@v0.6.3-q9kLEdFRTtoNmWpVmNrd/mode=imports/optimized/zarr.js';
+
+/**
+ * Zarr v2 metadata keys requested by zarr.js
+ */
+const V2_KEYS = {
+  ARRAY: '.zarray',
+  GROUP: '.zgroup',
+  ATTRS: '.zattrs'
+};
+
+/**
+ * Zarr v3 node metadata document name
+ */
+const V3_METADATA_KEY = 'zarr.json';
+
+/**
+ * Zarr v2 consolidated metadata document name
+ */
+const V2_CONSOLIDATED_KEY = '.zmetadata';
+
+/**
+ * Keys that hold metadata documents and can be answered from consolidated metadata
+ */
+const METADATA_KEYS = [V2_KEYS.ARRAY, V2_KEYS.GROUP, V2_KEYS.ATTRS, V3_METADATA_KEY];
+
+/**
+ * Zarr v3 data types mapped to v2 dtype strings (without byte order prefix). float16 is
+ * left out as zarr.js has no typed array for it.
+ */
+const V3_DATA_TYPES = {
+  bool: 'b1',
+  int8: 'i1',
+  uint8: 'u1',
+  int16: 'i2',
+  uint16: 'u2',
+  int32: 'i4',
+  uint32: 'u4',
+  int64: 'i8',
+  uint64: 'u8',
+  float32: 'f4',
+  float64: 'f8'
+};
+
+/**
+ * Blosc shuffle names used by Zarr v3 mapped to numcodecs constants
+ */
+const BLOSC_SHUFFLE = {
+  noshuffle: 0,
+  shuffle: 1,
+  bitshuffle: 2
+};
+
+/**
+ * Sentinel used in shard indexes for chunks that are not stored
+ */
+const SHARD_MISSING = 0xFFFFFFFFFFFFFFFFn;
+
+/**
+ * HTTP statuses that trigger one retry with refreshed credentials
+ */
+const AUTH_FAILURE_STATUSES = [401, 403];
+
+/**
+ * Minimum time between two credential refreshes of a store, in milliseconds. Auth failures
+ * right after a refresh are not about expired credentials, e.g. S3 answers 403 for missing
+ * objects when the bucket cannot be listed.
+ */
+const MIN_REFRESH_INTERVAL = 10000;
+
+/**
+ * Maximum number of shard indexes kept in memory per store
+ */
+const MAX_CACHED_SHARD_INDEXES = 512;
+
+/**
+ * Read-only HTTP store for zarr.js that understands both Zarr v2 and Zarr v3.
+ *
+ * zarr.js only reads v2 layouts, so for v3 stores the `.zarray`, `.zattrs` and
+ * `.zgroup` keys it asks for are answered from `zarr.json`, and chunk keys are
+ * mapped onto the v3 chunk key encoding. Sharded arrays are exposed with their
+ * inner chunk shape; each inner chunk is read from its shard with a byte-range
+ * request located through the shard index.
+ *
+ * When consolidated metadata is available, every metadata key below its root
+ * is answered from memory, including keys that do not exist.
+ *
+ * All requests go through `fetch()`, which applies the configured fetch
+ * function, request init options (headers, credentials, ...), query string and
+ * signing hooks, and retries once with refreshed credentials after a 401/403.
+ * Requests failing together share one credential refresh.
+ */
+export default class ZarrStore {
+
+  /**
+   * @param {string} url Base URL of the Zarr store
+   * @param {Object} [options]
+   * @param {number} [options.zarrFormat=2] Zarr format version of the store (2 or 3)
+   * @param {Object} [options.consolidated] Consolidated metadata as {root, metadata} with full store keys
+   * @param {Function} [options.fetch] Fetch-compatible function used instead of the global fetch
+   * @param {Object} [options.requestInit] Request init options added to every request
+   * @param {string|Object} [options.query] Query parameters appended to every request URL
+   * @param {Function} [options.signRequest] Async (url, {refresh}) => signed URL or {url, headers}
+   * @param {Function} [options.getToken] Async ({refresh}) => bearer token sent as Authorization header
+   */
+  constructor(url, options = {}) {
+    this.url = url.replace(/\/+$/, '');
+    this.zarrFormat = options.zarrFormat || 2;
+
+    // Request configuration
+    this.fetch_ = options.fetch || null;
+    this.requestInit_ = ZarrStore._normalizeRequestInit(options.requestInit);
+    this.query_ = ZarrStore._normalizeQuery(options.query);
+    this.signRequest_ = options.signRequest || null;
+    this.getToken_ = options.getToken || null;
+
+    // Credentials: version counting the refreshes that changed them, the refresh running and
+    // the last token handed out
+    this.credentialVersion_ = 0;
+    this.credentialRefresh_ = null;
+    this.lastRefresh_ = -Infinity;
+    this.token_ = null;
+
+    // Zarr v3 node metadata and translated array layouts, keyed by node path
+    this.nodeCache_ = new Map();
+    this.arrayLayouts_ = new Map();
+    this.shardIndexes_ = new Map();
+
+    // Shared requests still running, to their abort controller and number of waiting callers
+    this.pendingRequests_ = new Map();
+
+    this.consolidated_ = null;
+    this.consolidatedSubsets_ = new Map();
+    if (options.consolidated) {
+      this.setConsolidatedMetadata(options.consolidated.root, options.consolidated.metadata);
+    }
+  }
+
+  // ===== ZARR.JS STORE INTERFACE =====
+
+  keys() {
+    throw new Error('Method not implemented.');
+  }
+
+  async setItem() {
+    throw new Error('ZarrStore is read-only');
+  }
+
+  async deleteItem() {
+    throw new Error('ZarrStore is read-only');
+  }
+
+  /**
+   * Get a value by zarr.js key
+   */
+  async getItem(key, opts) {
+    if (this.zarrFormat !== 3) {
+      const consolidated = this._getConsolidatedItem(key);
+      if (consolidated === null) throw new KeyError(key);
+      if (consolidated !== undefined) return consolidated;
+      return this.getRawItem(key, opts);
+    }
+
+    const { nodePath, name } = ZarrStore._splitKey(key);
+
+    switch (name) {
+      case V2_KEYS.ARRAY: {
+        const layout = await this._getArrayLayout(nodePath, opts);
+        if (!layout) throw new KeyError(key);
+        return { ...layout.v2Metadata };
+      }
+
+      case V2_KEYS.GROUP: {
+        const node = await this._getNode(nodePath, opts);
+        if (!node || node.node_type !== 'group') throw new KeyError(key);
+        return { zarr_format: 2 };
+      }
+
+      case V2_KEYS.ATTRS: {
+        const node = await this._getNode(nodePath, opts);
+        if (!node) throw new KeyError(key);
+        return ZarrStore._v3Attributes(node);
+      }
+
+      default:
+        return this._getV3Chunk(nodePath, name, key, opts);
+    }
+  }
+
+  /**
+   * Check whether a key exists in the store
+   */
+  async containsItem(key) {
+    if (this.zarrFormat !== 3) {
+      const consolidated = this._getConsolidatedItem(key);
+      if (consolidated !== undefined) return consolidated !== null;
+
+      const response = await this.fetch(this._resolveUrl(key), { method: 'HEAD' });
+      return response.status === 200;
+    }
+
+    const { nodePath, name } = ZarrStore._splitKey(key);
+
+    switch (name) {
+      case V2_KEYS.ARRAY:
+        return (await this._getNode(nodePath))?.node_type === 'array';
+      case V2_KEYS.GROUP:
+        return (await this._getNode(nodePath))?.node_type === 'group';
+      case V2_KEYS.ATTRS:
+        return (await this._getNode(nodePath)) !== null;
+      default:
+        try {
+          await this._getV3Chunk(nodePath, name, key);
+          return true;
+        } catch (error) {
+          if (error instanceof KeyError) return false;
+          throw error;
+        }
+    }
+  }
+
+  // ===== REQUESTS =====
+
+  /**
+   * Issue a request with the store's fetch function, request init options, query parameters
+   * and signing hooks; an auth failure is retried once if the credentials changed since the
+   * request was sent, refreshing them unless that happened already
+   * @param {string} url Absolute request URL
+   * @param {Object} [init] Request init options for this request
+   * @return {Promise<Response>} Response
+   */
+  async fetch(url, init = {}) {
+    const version = this.credentialVersion_;
+    const response = await this._send(url, init);
+
+    if (AUTH_FAILURE_STATUSES.includes(response.status) && this.hasAuthHooks() &&
+        await this._refreshCredentials(version, ZarrStore._appendQuery(url, this.query_))) {
+      return this._send(url, init);
+    }
+    return response;
+  }
+
+  /**
+   * Run the signing hooks for a request URL
+   * @param {string} url Request URL including the query string
+   * @param {boolean} [refresh=false] Whether credentials should be renewed after an auth failure;
+   *   requests asking together share one refresh
+   * @return {Promise<Object>} {url, headers} to use for the request
+   */
+  async authorize(url, refresh = false) {
+    if (refresh) {
+      await this._refreshCredentials(this.credentialVersion_, url);
+    }
+
+    const headers = {};
+    let signedUrl = url;
+
+    if (this.getToken_) {
+      const token = await this.getToken_({ refresh: false });
+      this.token_ = token;
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+    }
+
+    if (this.signRequest_) {
+      const signed = await this.signRequest_(signedUrl, { refresh: false });
+      if (typeof signed === 'string') {
+        signedUrl = signed;
+      } else if (signed) {
+        signedUrl = signed.url || signedUrl;
+        Object.assign(headers, ZarrStore._normalizeHeaders(signed.headers));
+      }
+    }
+
+    return { url: signedUrl, headers };
+  }
+
+  /**
+   * Check whether requests are signed by signRequest or getToken hooks
+   */
+  hasAuthHooks() {
+    return this.signRequest_ !== null || this.getToken_ !== null;
+  }
+
+  /**
+   * Check whether requests go through a custom fetch function
+   */
+  hasCustomFetch() {
+    return this.fetch_ !== null;
+  }
+
+  /**
+   * Get the structured-cloneable request options, used to rebuild the store in a worker
+   * @return {Object} {requestInit, query}
+   */
+  getRequestOptions() {
+    return { requestInit: this.requestInit_, query: this.query_ };
+  }
+
+  /**
+   * Renew credentials after an auth failure of a request sent with the given credential
+   * version. Requests failing while a refresh runs wait for it instead of starting their own,
+   * and no refresh starts within MIN_REFRESH_INTERVAL of the last one.
+   * @return {Promise<boolean>} Whether the credentials changed since the request was sent
+   * @private
+   */
+  async _refreshCredentials(version, url) {
+    if (!this.credentialRefresh_ && version === this.credentialVersion_ &&
+        Date.now() - this.lastRefresh_ >= MIN_REFRESH_INTERVAL) {
+      this.credentialRefresh_ = this._renewCredentials(url).then(changed => {
+        if (changed) this.credentialVersion_++;
+      }).finally(() => {
+        this.lastRefresh_ = Date.now();
+        this.credentialRefresh_ = null;
+      });
+    }
+
+    if (this.credentialRefresh_) {
+      await this.credentialRefresh_;
+    }
+    return version !== this.credentialVersion_;
+  }
+
+  /**
+   * Run the hooks with refresh: true
+   * @param {string} url URL of the failed request, including the query string
+   * @return {Promise<boolean>} Whether the credentials changed; renewed signatures cannot be
+   *   compared and always count as changed
+   * @private
+   */
+  async _renewCredentials(url) {
+    let changed = false;
+
+    if (this.getToken_) {
+      const token = await this.getToken_({ refresh: true });
+      changed = token !== this.token_;
+      this.token_ = token;
+    }
+
+    if (this.signRequest_) {
+      await this.signRequest_(url, { refresh: true });
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Send a single request
+   * @private
+   */
+  async _send(url, init) {
+    let requestUrl = ZarrStore._appendQuery(url, this.query_);
+    let authHeaders = {};
+    if (this.hasAuthHooks()) {
+      ({ url: requestUrl, headers: authHeaders } = await this.authorize(requestUrl));
+    }
+
+    const requestInit = {
+      ...this.requestInit_,
+      ...init,
+      headers: {
+        ...this.requestInit_.headers,
+        ...ZarrStore._normalizeHeaders(init.headers),
+        ...authHeaders
+      }
+    };
+
+    const fetchFunction = this.fetch_ || globalThis.fetch;
+    return fetchFunction(requestUrl, requestInit);
+  }
+
+  // ===== RAW ACCESS =====
+
+  /**
+   * Fetch a key from the store without any v3 translation
+   * @param {string} key Key relative to the store URL
+   * @param {Object} [opts] Request init options
+   * @param {Array<number>} [range] Byte range as [offset, length]; a negative offset requests a suffix
+   * @return {Promise<ArrayBuffer>} Raw bytes
+   */
+  async getRawItem(key, opts = {}, range = null) {
+    const init = { ...opts };
+    if (range) {
+      const [offset, length] = range;
+      init.headers = {
+        ...(init.headers || {}),
+        Range: offset < 0 ? `bytes=${offset}` : `bytes=${offset}-${offset + length - 1}`
+      };
+    }
+
+    const response = await this.fetch(this._resolveUrl(key), init);
+    if (response.status === 404) {
+      throw new KeyError(key);
+    }
+    if (response.status !== 200 && response.status !== 206) {
+      throw new HTTPError(String(response.status));
+    }
+
+    const buffer = await response.arrayBuffer();
+
+    // Servers that ignore Range headers return the complete object
+    if (range && response.status === 200) {
+      const [offset, length] = range;
+      return offset < 0 ? buffer.slice(buffer.byteLength + offset) : buffer.slice(offset, offset + length);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Fetch and parse a JSON document, returning null when it does not exist
+   */
+  async getJson(key, opts) {
+    try {
+      const buffer = await this.getRawItem(key, opts);
+      return JSON.parse(new TextDecoder().decode(buffer));
+    } catch (error) {
+      if (error instanceof KeyError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Detect the Zarr format of a node by looking for a v3 `zarr.json` document
+   * and switch the store to that format
+   * @param {string} path Node path relative to the store URL
+   * @return {Promise<number>} 3 if the node is Zarr v3, 2 if it has no `zarr.json`
+   * @throws {Error} If the request fails otherwise (network, auth, server errors) or the
+   *   document is not valid JSON
+   */
+  async detectZarrFormat(path) {
+    let metadata;
+    try {
+      metadata = await this.getJson(ZarrStore._joinPath(path, V3_METADATA_KEY));
+    } catch (error) {
+      // Servers answering 403 for missing objects, like S3 and GCS without list permission
+      if (error instanceof HTTPError && error.message === '403') return 2;
+      throw error;
+    }
+
+    if (metadata && metadata.zarr_format === 3) {
+      this.zarrFormat = 3;
+      this.nodeCache_.set(ZarrStore._normalizePath(path), Promise.resolve(metadata));
+      return 3;
+    }
+    return 2;
+  }
+
+  // ===== CONSOLIDATED METADATA =====
+
+  /**
+   * Load consolidated metadata for a group: inline `consolidated_metadata` of a v3 group,
+   * or a v2 `.zmetadata` document next to the group or at the store root
+   * @param {string} path Group path relative to the store URL
+   * @return {Promise<boolean>} True if consolidated metadata was found
+   */
+  async loadConsolidatedMetadata(path) {
+    const groupPath = ZarrStore._normalizePath(path);
+
+    if (this.zarrFormat === 3) {
+      const group = await this._getNode(groupPath);
+      const inline = group?.consolidated_metadata;
+      if (!inline || typeof inline.metadata !== 'object' || inline.metadata === null) {
+        return false;
+      }
+
+      const metadata = { [ZarrStore._joinPath(groupPath, V3_METADATA_KEY)]: group };
+      for (const [childPath, node] of Object.entries(inline.metadata)) {
+        metadata[ZarrStore._joinPath(groupPath, childPath, V3_METADATA_KEY)] = node;
+      }
+      this.setConsolidatedMetadata(groupPath, metadata);
+      return true;
+    }
+
+    const roots = groupPath === '' ? [''] : [groupPath, ''];
+    for (const root of roots) {
+      let document = null;
+      try {
+        document = await this.getJson(ZarrStore._joinPath(root, V2_CONSOLIDATED_KEY));
+      } catch (error) {
+        // Treat inaccessible documents as missing and keep probing
+      }
+
+      if (document && typeof document.metadata === 'object' && document.metadata !== null) {
+        const metadata = {};
+        for (const [key, value] of Object.entries(document.metadata)) {
+          metadata[ZarrStore._joinPath(root, key)] = value;
+        }
+        this.setConsolidatedMetadata(root, metadata);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Answer metadata keys below root from the given documents instead of the network
+   * @param {string} root Path the consolidated metadata covers
+   * @param {Object} metadata Metadata documents keyed by full store key
+   */
+  setConsolidatedMetadata(root, metadata) {
+    this.consolidated_ = { root: ZarrStore._normalizePath(root), metadata: { ...metadata } };
+    this.consolidatedSubsets_.clear();
+    this.nodeCache_.clear();
+    this.arrayLayouts_.clear();
+  }
+
+  /**
+   * Check whether consolidated metadata is in use
+   */
+  hasConsolidatedMetadata() {
+    return this.consolidated_ !== null;
+  }
+
+  /**
+   * Get the consolidated metadata below a path, small enough to hand to a worker
+   * @param {string} path Node path, e.g. the value array of one zoom level
+   * @return {Object|null} {root, metadata} or null if the path is not covered
+   */
+  getConsolidatedMetadata(path) {
+    const root = ZarrStore._normalizePath(path);
+    if (!this.consolidated_ || !ZarrStore._isBelow(root, this.consolidated_.root)) {
+      return null;
+    }
+
+    if (!this.consolidatedSubsets_.has(root)) {
+      const metadata = {};
+      for (const [key, value] of Object.entries(this.consolidated_.metadata)) {
+        if (ZarrStore._isBelow(key, root)) {
+          metadata[key] = value;
+        }
+      }
+      this.consolidatedSubsets_.set(root, { root, metadata });
+    }
+    return this.consolidatedSubsets_.get(root);
+  }
+
+  /**
+   * Look up a metadata key in consolidated metadata
+   * @return {*} The document, null if covered but missing, undefined if not covered
+   * @private
+   */
+  _getConsolidatedItem(key) {
+    if (!this.consolidated_) return undefined;
+
+    const normalizedKey = ZarrStore._normalizePath(key);
+    const { name } = ZarrStore._splitKey(normalizedKey);
+    if (!METADATA_KEYS.includes(name) || !ZarrStore._isBelow(normalizedKey, this.consolidated_.root)) {
+      return undefined;
+    }
+
+    const value = this.consolidated_.metadata[normalizedKey];
+    return value === undefined ? null : value;
+  }
+
+  // ===== ZARR V3 SUPPORT =====
+
+  /**
+   * Get parsed `zarr.json` for a node, or null when the node does not exist
+   * @private
+   */
+  _getNode(nodePath, opts) {
+    const path = ZarrStore._normalizePath(nodePath);
+
+    const consolidated = this._getConsolidatedItem(ZarrStore._joinPath(path, V3_METADATA_KEY));
+    if (consolidated !== undefined) {
+      return Promise.resolve(consolidated);
+    }
+
+    return this._getSharedRequest(this.nodeCache_, path, opts,
+      init => this.getJson(ZarrStore._joinPath(path, V3_METADATA_KEY), init));
+  }
+
+  /**
+   * Get the translated layout for a v3 array node, or null when it is not an array
+   * @private
+   */
+  async _getArrayLayout(nodePath, opts) {
+    const path = ZarrStore._normalizePath(nodePath);
+    if (this.arrayLayouts_.has(path)) {
+      return this.arrayLayouts_.get(path);
+    }
+
+    const node = await this._getNode(path, opts);
+    if (!node || node.node_type !== 'array') {
+      return null;
+    }
+
+    const layout = ZarrStore._translateArrayMetadata(node, path);
+    this.arrayLayouts_.set(path, layout);
+    return layout;
+  }
+
+  /**
+   * Read one (inner) chunk of a v3 array
+   * @private
+   */
+  async _getV3Chunk(nodePath, chunkName, key, opts) {
+    const layout = await this._getArrayLayout(nodePath, opts);
+    if (!layout) {
+      throw new KeyError(key);
+    }
+
+    const coords = chunkName.split('.').map(Number);
+    if (coords.some(c => !Number.isInteger(c) || c < 0)) {
+      throw new KeyError(key);
+    }
+
+    let buffer;
+
+    if (layout.shard) {
+      const { chunksPerShard } = layout.shard;
+      const shardCoords = coords.map((c, i) => Math.floor(c / chunksPerShard[i]));
+      const shardKey = ZarrStore._joinPath(layout.path, layout.encodeChunkKey(shardCoords));
+
+      const index = await this._getShardIndex(shardKey, layout.shard, opts);
+      if (!index) {
+        throw new KeyError(key);
+      }
+
+      // Shard index is in C order over the chunks of the shard
+      let linear = 0;
+      for (let i = 0; i < coords.length; i++) {
+        linear = linear * chunksPerShard[i] + (coords[i] % chunksPerShard[i]);
+      }
+
+      const offset = index[linear * 2];
+      const nbytes = index[linear * 2 + 1];
+      if (offset === null || nbytes === null) {
+        throw new KeyError(key);
+      }
+
+      buffer = await this.getRawItem(shardKey, opts, [offset, nbytes]);
+    } else {
+      buffer = await this.getRawItem(ZarrStore._joinPath(layout.path, layout.encodeChunkKey(coords)), opts);
+    }
+
+    // crc32c checksums are appended after all other codecs have run
+    return layout.checksum ? buffer.slice(0, buffer.byteLength - 4) : buffer;
+  }
+
+  /**
+   * Fetch and parse a shard index, or null when the shard is not stored
+   * @private
+   */
+  _getShardIndex(shardKey, shard, opts) {
+    const { chunkCount, indexSize, indexLocation } = shard;
+    const range = indexLocation === 'start' ? [0, indexSize] : [-indexSize, indexSize];
+
+    if (!this.shardIndexes_.has(shardKey) && this.shardIndexes_.size >= MAX_CACHED_SHARD_INDEXES) {
+      this.shardIndexes_.delete(this.shardIndexes_.keys().next().value);
+    }
+
+    return this._getSharedRequest(this.shardIndexes_, shardKey, opts,
+      init => this.getRawItem(shardKey, init, range).then(buffer => {
+        const view = new DataView(buffer);
+        const index = new Array(chunkCount * 2);
+        for (let i = 0; i < chunkCount * 2; i++) {
+          const value = view.getBigUint64(i * 8, true);
+          index[i] = value === SHARD_MISSING ? null : Number(value);
+        }
+        return index;
+      }).catch(error => {
+        if (error instanceof KeyError) return null;
+        throw error;
+      }));
+  }
+
+  /**
+   * Get a cached request shared by several callers, starting it when missing. The request
+   * runs with its own abort signal, aborted once every caller waiting for it has aborted,
+   * while each caller stops waiting as soon as its own signal aborts. Failed requests are
+   * not kept, so that transient errors can be retried.
+   * @param {Map} cache Requests by key
+   * @param {string} key
+   * @param {Object} [opts] Request options of the caller, with its signal
+   * @param {function(Object): Promise} start Starts the request with the given options
+   * @return {Promise}
+   * @private
+   */
+  _getSharedRequest(cache, key, opts, start) {
+    let request = cache.get(key);
+    if (!request) {
+      const controller = new AbortController();
+      request = start({ ...ZarrStore._sharedRequestInit(opts), signal: controller.signal });
+      this.pendingRequests_.set(request, { controller, waiting: 0 });
+      request.then(() => this.pendingRequests_.delete(request), () => {
+        this.pendingRequests_.delete(request);
+        if (cache.get(key) === request) cache.delete(key);
+      });
+      cache.set(key, request);
+    }
+
+    const pending = this.pendingRequests_.get(request);
+    const signal = opts?.signal;
+    if (!pending) {
+      return request;
+    }
+    if (!signal) {
+      pending.waiting = Infinity; // Nothing can abort this caller, so the request always runs
+      return request;
+    }
+    if (signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    pending.waiting++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(signal.reason);
+        if (--pending.waiting === 0 && this.pendingRequests_.get(request) === pending) {
+          this.pendingRequests_.delete(request);
+          if (cache.get(key) === request) cache.delete(key);
+          pending.controller.abort(signal.reason);
+        }
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      request.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Translate v3 array metadata into the v2 `.zarray` layout understood by zarr.js
+   * @private
+   */
+  static _translateArrayMetadata(node, path) {
+    const { shape, data_type, chunk_grid, chunk_key_encoding, fill_value } = node;
+
+    if (!chunk_grid || chunk_grid.name !== 'regular') {
+      throw new Error(`Zarr v3 array '${path}': unsupported chunk grid '${chunk_grid?.name}'`);
+    }
+
+    const baseType = V3_DATA_TYPES[data_type];
+    if (!baseType) {
+      throw new Error(`Zarr v3 array '${path}': unsupported data type '${data_type}'`);
+    }
+
+    let chunks = chunk_grid.configuration.chunk_shape;
+    let codecs = node.codecs || [];
+    let shard = null;
+
+    const sharding = codecs.find(codec => codec.name === 'sharding_indexed');
+    if (sharding) {
+      if (codecs.length !== 1) {
+        throw new Error(`Zarr v3 array '${path}': codecs around sharding_indexed are not supported`);
+      }
+
+      const {
+        chunk_shape: innerShape,
+        codecs: innerCodecs = [],
+        index_codecs: indexCodecs = [{ name: 'bytes', configuration: { endian: 'little' } }, { name: 'crc32c' }],
+        index_location: indexLocation = 'end'
+      } = sharding.configuration;
+
+      const chunksPerShard = chunks.map((size, i) => {
+        if (size % innerShape[i] !== 0) {
+          throw new Error(`Zarr v3 array '${path}': shard shape [${chunks}] is not divisible by chunk shape [${innerShape}]`);
+        }
+        return size / innerShape[i];
+      });
+      const chunkCount = chunksPerShard.reduce((a, b) => a * b, 1);
+      const indexChecksum = indexCodecs.some(codec => codec.name === 'crc32c');
+
+      shard = {
+        chunksPerShard,
+        chunkCount,
+        indexLocation,
+        indexSize: chunkCount * 16 + (indexChecksum ? 4 : 0)
+      };
+      chunks = innerShape;
+      codecs = innerCodecs;
+    }
+
+    const { endian, order, compressor, checksum } = this._translateCodecs(codecs, path);
+    const byteOrder = baseType.endsWith('1') ? '|' : (endian === 'big' ? '>' : '<');
+
+    return {
+      path,
+      shard,
+      checksum,
+      encodeChunkKey: this._chunkKeyEncoder(chunk_key_encoding),
+      v2Metadata: {
+        zarr_format: 2,
+        shape: [...shape],
+        chunks: [...chunks],
+        dtype: byteOrder + baseType,
+        compressor,
+        fill_value: this._translateFillValue(fill_value, data_type),
+        order,
+        filters: null,
+        dimension_separator: '.'
+      }
+    };
+  }
+
+  /**
+   * Map a v3 codec pipeline onto a single v2 compressor, byte order and memory order
+   * @private
+   */
+  static _translateCodecs(codecs, path) {
+    let endian = 'little';
+    let order = 'C';
+    let compressor = null;
+    let checksum = false;
+
+    codecs.forEach((codec, i) => {
+      const config = codec.configuration || {};
+
+      if (checksum) {
+        throw new Error(`Zarr v3 array '${path}': crc32c must be the last codec`);
+      }
+
+      switch (codec.name) {
+        case 'transpose': {
+          const permutation = config.order;
+          const isReversed = Array.isArray(permutation) &&
+            permutation.every((axis, j) => axis === permutation.length - 1 - j);
+          const isIdentity = Array.isArray(permutation) && permutation.every((axis, j) => axis === j);
+          if (permutation === 'F' || isReversed) {
+            order = 'F';
+          } else if (permutation !== 'C' && !isIdentity) {
+            throw new Error(`Zarr v3 array '${path}': only C or F transpose orders are supported`);
+          }
+          break;
+        }
+
+        case 'bytes':
+        case 'endian':
+          endian = config.endian || 'little';
+          break;
+
+        // zstd is rejected below until zarr.js registers a decoder for it
+        case 'gzip':
+        case 'zlib':
+          if (compressor) {
+            throw new Error(`Zarr v3 array '${path}': only one compression codec is supported`);
+          }
+          compressor = { id: codec.name, level: config.level };
+          break;
+
+        case 'blosc':
+          if (compressor) {
+            throw new Error(`Zarr v3 array '${path}': only one compression codec is supported`);
+          }
+          compressor = {
+            id: 'blosc',
+            cname: config.cname,
+            clevel: config.clevel,
+            shuffle: typeof config.shuffle === 'string' ? BLOSC_SHUFFLE[config.shuffle] : config.shuffle,
+            blocksize: config.blocksize || 0
+          };
+          break;
+
+        case 'crc32c':
+          checksum = true;
+          break;
+
+        default:
+          throw new Error(`Zarr v3 array '${path}': unsupported codec '${codec.name}' at position ${i}`);
+      }
+    });
+
+    return { endian, order, compressor, checksum };
+  }
+
+  /**
+   * Build a chunk key encoder for the v3 chunk_key_encoding
+   * @private
+   */
+  static _chunkKeyEncoder(encoding) {
+    const name = encoding?.name || 'default';
+    const separator = encoding?.configuration?.separator;
+
+    if (name === 'v2') {
+      const sep = separator || '.';
+      return coords => (coords.length === 0 ? '0' : coords.join(sep));
+    }
+
+    const sep = separator || '/';
+    return coords => ['c', ...coords].join(sep);
+  }
+
+  /**
+   * Normalize a v3 fill value into the form zarr.js expects in `.zarray`
+   * @private
+   */
+  static _translateFillValue(fillValue, dataType) {
+    if (typeof fillValue === 'boolean') {
+      return fillValue ? 1 : 0;
+    }
+
+    // Hexadecimal strings encode the raw bits of floating point fill values
+    if (typeof fillValue === 'string' && fillValue.startsWith('0x')) {
+      const bits = BigInt(fillValue);
+      const view = new DataView(new ArrayBuffer(8));
+      if (dataType === 'float64') {
+        view.setBigUint64(0, bits);
+        return view.getFloat64(0);
+      }
+      view.setUint32(0, Number(bits));
+      return view.getFloat32(0);
+    }
+
+    return fillValue === undefined ? null : fillValue;
+  }
+
+  /**
+   * Attributes of a v3 node in `.zattrs` form, exposing dimension_names the way xarray does in v2
+   * @private
+   */
+  static _v3Attributes(node) {
+    const attributes = { ...(node.attributes || {}) };
+    if (Array.isArray(node.dimension_names) && !attributes._ARRAY_DIMENSIONS &&
+        node.dimension_names.every(name => typeof name === 'string')) {
+      attributes._ARRAY_DIMENSIONS = [...node.dimension_names];
+    }
+    return attributes;
+  }
+
+  // ===== REQUEST HELPERS =====
+
+  /**
+   * Copy request init options with plain-object headers; signals are per request and dropped
+   * @private
+   */
+  static _normalizeRequestInit(requestInit) {
+    const { signal, window, ...init } = requestInit || {};
+    return { ...init, headers: ZarrStore._normalizeHeaders(init.headers) };
+  }
+
+  /**
+   * Drop the caller's abort signal from request options of cached requests shared by several
+   * callers, so that one aborted caller does not fail the others
+   * @private
+   */
+  static _sharedRequestInit(opts) {
+    const { signal, ...init } = opts || {};
+    return init;
+  }
+
+  /**
+   * Convert Headers instances, header pair arrays or records into a plain object
+   * @private
+   */
+  static _normalizeHeaders(headers) {
+    if (!headers) return {};
+    if (typeof Headers !== 'undefined' && headers instanceof Headers) {
+      return Object.fromEntries(headers.entries());
+    }
+    return Array.isArray(headers) ? Object.fromEntries(headers) : { ...headers };
+  }
+
+  /**
+   * Convert query parameters into a query string without leading '?'
+   * @private
+   */
+  static _normalizeQuery(query) {
+    if (!query) return '';
+    if (typeof query === 'string') return query.replace(/^\?/, '');
+    return new URLSearchParams(query).toString();
+  }
+
+  /**
+   * Append a query string to a URL
+   * @private
+   */
+  static _appendQuery(url, query) {
+    if (!query) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+  }
+
+  // ===== PATH HELPERS =====
+
+  /**
+   * Resolve a store key against the store URL
+   * @private
+   */
+  _resolveUrl(key) {
+    return `${this.url}/${key.replace(/^\/+/, '')}`;
+  }
+
+  /**
+   * Split a zarr.js key into node path and last path segment
+   * @private
+   */
+  static _splitKey(key) {
+    const index = key.lastIndexOf('/');
+    return index === -1 ?
+      { nodePath: '', name: key } :
+      { nodePath: key.slice(0, index), name: key.slice(index + 1) };
+  }
+
+  /**
+   * Remove duplicate, leading and trailing slashes from a node path
+   * @private
+   */
+  static _normalizePath(path) {
+    return (path || '').replace(/\/+/g, '/').replace(/^\/|\/$/g, '');
+  }
+
+  /**
+   * Check whether a normalized key is the root itself or lies below it
+   * @private
+   */
+  static _isBelow(key, root) {
+    return root === '' || key === root || key.startsWith(`${root}/`);
+  }
+
+  /**
+   * Join path segments into a store key
+   * @private
+   */
+  static _joinPath(...parts) {
+    return this._normalizePath(parts.filter(part => part !== '' && part !== null && part !== undefined).join('/'));
+  }
+}
@@ -1,12 +1,88 @@
 import DataTile from 'ol/source/DataTile.js';
 import TileGrid from 'ol/tilegrid/TileGrid.js';
+import BaseEvent from 'ol/events/Event.js';
+import { unByKey } from 'ol/Observable.js';
 import { openArray } from 'https://cdn.skypack.dev/pin/zarr@v0.6.3-q9kLEdFRTtoNmWpVmNrd/mode=imports/optimized/zarr.js';
+import ZarrStore from './ZarrStore.js';
+import ZarrChunkCache from './ZarrChunkCache.js';
+import ZarrWorkerPool from './ZarrWorkerPool.js';
+import ZarrExpression from './ZarrExpression.js';
+import { resolveColormap, createColormapLUT, parseColor, CATEGORY_COLORS } from './colormaps.js';
+import { createTimeDecoder } from './cftime.js';
 
 /**
  * Private constructor token to enforce async creation pattern
  */
 const CONSTRUCTOR_TOKEN = Symbol('ZarrTile.constructor.token');
 
+/**
+ * Default memory budget of the decoded-chunk cache shared by all sources (256 MB)
+ */
+const DEFAULT_CHUNK_CACHE_SIZE = 256 * 1024 * 1024;
+
+/**
+ * Prefetch scheduling: idle delay after the last viewport change (ms), concurrent prefetch jobs
+ * and maximum number of visible tiles prefetched
+ */
+const PREFETCH = {
+  DELAY: 250,
+  CONCURRENCY: 2,
+  MAX_TILES: 64,
+  DEFAULTS: { ahead: 2, behind: 1 }
+};
+
+/**
+ * Zonal statistics: largest pixel window read per band and timestep before a coarser
+ * level is chosen automatically, and the percentiles reported by default
+ */
+const ZONAL_STATISTICS = {
+  MAX_PIXELS: 2048 * 2048,
+  PERCENTILES: [2, 25, 50, 75, 98]
+};
+
+/**
+ * Client-side statistics: pixels sampled per band and timestep from the coarsest level,
+ * timesteps pooled for statistics over all times, and default options
+ */
+const COMPUTED_STATISTICS = {
+  MAX_PIXELS: 512 * 512,
+  MAX_TIMESTEPS: 8,
+  DEFAULTS: { per_time: false, percentiles: [2, 98] }
+};
+
+/**
+ * Temporal composites: timesteps per window, all of which the worker holds in memory at once
+ * for a tile or statistics sample
+ */
+const TEMPORAL_COMPOSITE = {
+  MAX_TIMESTEPS: 64
+};
+
+/**
+ * Temporal composites and differences: sampled statistics kept per source, keyed by channels
+ * and timesteps
+ */
+const TEMPORAL_STATISTICS = {
+  MAX_CACHED: 32
+};
+
+/**
+ * Extra dimensions: statistics of the dataset bands kept per source, keyed by the indices
+ * of the extra dimensions
+ */
+const DIMENSION_STATISTICS = {
+  MAX_CACHED: 32
+};
+
+/**
+ * Worker pool queue priorities, higher runs first
+ */
+const JOB_PRIORITY = {
+  QUERY: 2,
+  TILE: 1,
+  PREFETCH: 0
+};
+
 /**
  * Default values for all properties
  */
@@ -16,6 +92,8 @@ const DEFAULTS = {
   time_array_name: 'time', 
   statistics_array_name: 'statistics',
   bands: [0],
+  band_names: null,
+  expressions: null,
   normalize: null,
   verbose: false,
   statistics_key_indices: {
@@ -31,6 +109,17 @@ const DEFAULTS = {
   nodata_strategy: 'raw',
   nodata_replace_value: 0,
   mask_nodata: true,
+  colormap: null,
+  categories: null,    // null: from metadata, false: not categorical
+  consolidated: true,
+  prefetch: null,
+  compute_statistics: null,
+  temporal_composite: null,
+  difference: null,
+  dimensions: null,    // null: _ARRAY_DIMENSIONS, or inferred from the number of dimensions
+  dimension_indices: null, // null: first index of every extra dimension
+  max_workers: null,   // null: navigator.hardwareConcurrency
+  worker_url: null,    // null: zarr.worker.js next to ZarrTile.js
   drc: {
     strategy: 'normalize',
     mean_key: 'mean',
@@ -64,6 +153,45 @@ const NODATA_STRATEGIES = {
   REPLACE: 'replace'             // Replace NODATA values with specified value
 };
 
+/**
+ * Temporal composite reductions over a time window
+ */
+const TEMPORAL_COMPOSITE_METHODS = {
+  MEAN: 'mean',
+  MEDIAN: 'median',
+  MIN: 'min',
+  MAX: 'max',
+  PERCENTILE: 'percentile'  // Needs percentile (0-100)
+};
+
+/**
+ * Difference mode outputs
+ */
+const DIFFERENCE_MODES = {
+  ABSOLUTE: 'absolute',  // value[to] - value[from]
+  RELATIVE: 'relative'   // (value[to] - value[from]) / |value[from]|
+};
+
+/**
+ * Value array dimension roles, with the dimension names recognized as each; other named
+ * dimensions are extra dimensions (depth, ensemble member, ...) selected by index
+ */
+const DIMENSION_ALIASES = {
+  time: ['time', 't', 'date', 'valid_time'],
+  band: ['band', 'bands', 'channel', 'variable', 'spectral_band'],
+  y: ['y', 'lat', 'latitude', 'northing', 'rlat'],
+  x: ['x', 'lon', 'longitude', 'easting', 'rlon']
+};
+
+/**
+ * Dimension roles of value arrays without _ARRAY_DIMENSIONS, by number of dimensions
+ */
+const DEFAULT_DIMENSIONS = {
+  2: ['y', 'x'],
+  3: ['time', 'y', 'x'],
+  4: ['time', 'band', 'y', 'x']
+};
+
 /**
  * Render type options
  */
@@ -152,6 +280,39 @@ const NODATA_FORMATS = {
   PER_DATASET_BAND: 'per_dataset_band' // Array for all dataset bands
 };
 
+/**
+ * Events dispatched by the playback controller
+ */
+const PLAYBACK_EVENTS = {
+  START: 'playbackstart',  // play() started or resumed playback
+  FRAME: 'playbackframe',  // Moved to the next frame
+  PAUSE: 'playbackpause',  // pause() was called
+  STOP: 'playbackstop',    // stop() was called
+  END: 'playbackend'       // Reached the end of the range without loop
+};
+
+/**
+ * Default playback options
+ */
+const PLAYBACK_DEFAULTS = {
+  fps: 2,
+  loop: true,
+  bounce: false,
+  range: null,
+  waitForTiles: false
+};
+
+/**
+ * Event dispatched by ZarrTile playback, carrying the current frame
+ */
+class ZarrPlaybackEvent extends BaseEvent {
+  constructor(type, timeIndex, time) {
+    super(type);
+    this.timeIndex = timeIndex;  // Current time index
+    this.time = time;            // Current timestamp
+  }
+}
+
 /**
  * Complete ZarrTile validation and extraction utilities
  */
@@ -246,6 +407,369 @@ class ZarrTileValidator {
     return maskNodata;
   }
 
+  /**
+   * Validate a colormap: a ramp name, or {name, reverse, type, steps} or {stops, type}
+   * @return {Object|null} Resolved colormap {stops: [{position, color}], type}
+   */
+  static validateColormap(colormap, source = 'user input') {
+    if (colormap === null || colormap === undefined) {
+      return DEFAULTS.colormap;
+    }
+    
+    try {
+      return resolveColormap(colormap);
+    } catch (error) {
+      throw new Error(`colormap: ${error.message} from ${source}`);
+    }
+  }
+
+  /**
+   * Validate CF packing {scale, offset, validRange} read from scale_factor, add_offset and
+   * valid_range (or valid_min/valid_max) attributes; the valid range is in packed units
+   * @return {Object|null} {scale, offset, validRange: [min, max] or null}
+   */
+  static validatePacking(packing, source = 'value array metadata') {
+    if (packing === null || packing === undefined) {
+      return null;
+    }
+    
+    const { scale = 1, offset = 0, validRange = null } = packing;
+    
+    if (typeof scale !== 'number' || !Number.isFinite(scale) || scale === 0) {
+      throw new Error(`scale_factor: must be a finite non-zero number from ${source}, got ${scale}`);
+    }
+    if (typeof offset !== 'number' || !Number.isFinite(offset)) {
+      throw new Error(`add_offset: must be a finite number from ${source}, got ${offset}`);
+    }
+    if (validRange !== null && (!Array.isArray(validRange) || validRange.length !== 2 ||
+        !validRange.every(v => typeof v === 'number' && !Number.isNaN(v)) || validRange[0] > validRange[1])) {
+      throw new Error(`valid_range: must be [min, max] with min <= max from ${source}, got ${JSON.stringify(validRange)}`);
+    }
+    
+    return { scale, offset, validRange: validRange ? [...validRange] : null };
+  }
+
+  /**
+   * Validate class definitions [{value, label, color}]; classes without a label are named
+   * after their value and classes without a color take the next CATEGORY_COLORS color
+   * @return {Array<Object>|null} [{value, label, color: [r, g, b, a]}] sorted by value
+   */
+  static validateCategories(categories, source = 'user input') {
+    if (categories === null || categories === undefined || categories === false) {
+      return null;
+    }
+    
+    if (!Array.isArray(categories) || categories.length === 0) {
+      throw new Error(`categories: must be a non-empty array of {value, label, color} from ${source}`);
+    }
+    
+    const seen = new Set();
+    return categories.map((category, i) => {
+      const { value, label = String(value), color = CATEGORY_COLORS[i % CATEGORY_COLORS.length] } = category || {};
+      
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`categories[${i}].value: must be a finite number from ${source}, got ${value}`);
+      }
+      if (seen.has(value)) {
+        throw new Error(`categories[${i}].value: duplicate value ${value} from ${source}`);
+      }
+      seen.add(value);
+      
+      if (typeof label !== 'string') {
+        throw new Error(`categories[${i}].label: must be a string from ${source}`);
+      }
+      
+      try {
+        return { value, label, color: parseColor(color) };
+      } catch (error) {
+        throw new Error(`categories[${i}].color: ${error.message} from ${source}`);
+      }
+    }).sort((a, b) => a.value - b.value);
+  }
+
+  /**
+   * Validate store option: a fetch-compatible function or {fetch, requestInit, query, signRequest, getToken}
+   */
+  static validateStore(store, source = 'user input') {
+    if (store === null || store === undefined) {
+      return null;
+    }
+    
+    if (typeof store === 'function') {
+      return { fetch: store, requestInit: null, query: null, signRequest: null, getToken: null };
+    }
+    
+    if (typeof store !== 'object' || Array.isArray(store)) {
+      throw new Error(`store: must be a fetch function or an object with fetch, requestInit, query, signRequest and getToken from ${source}`);
+    }
+    
+    const { fetch = null, requestInit = null, query = null, signRequest = null, getToken = null } = store;
+    
+    for (const [name, hook] of Object.entries({ fetch, signRequest, getToken })) {
+      if (hook !== null && typeof hook !== 'function') {
+        throw new Error(`store.${name}: must be a function from ${source}, got ${typeof hook}`);
+      }
+    }
+    
+    if (requestInit !== null && (typeof requestInit !== 'object' || Array.isArray(requestInit))) {
+      throw new Error(`store.requestInit: must be an object from ${source}`);
+    }
+    
+    if (query !== null && typeof query !== 'string' && (typeof query !== 'object' || Array.isArray(query))) {
+      throw new Error(`store.query: must be a string or an object from ${source}`);
+    }
+    
+    return { fetch, requestInit, query, signRequest, getToken };
+  }
+
+  /**
+   * Validate prefetch configuration: boolean or {ahead, behind} numbers of timesteps
+   */
+  static validatePrefetch(prefetch, source = 'user input') {
+    if (prefetch === null || prefetch === undefined || prefetch === false) {
+      return DEFAULTS.prefetch;
+    }
+    
+    if (prefetch === true) {
+      return { ...PREFETCH.DEFAULTS };
+    }
+    
+    if (typeof prefetch !== 'object' || Array.isArray(prefetch)) {
+      throw new Error(`prefetch: must be boolean or an object with ahead and behind from ${source}`);
+    }
+    
+    const ahead = prefetch.ahead ?? PREFETCH.DEFAULTS.ahead;
+    const behind = prefetch.behind ?? PREFETCH.DEFAULTS.behind;
+    
+    for (const [name, value] of Object.entries({ ahead, behind })) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`prefetch.${name}: must be a non-negative integer from ${source}, got ${value}`);
+      }
+    }
+    
+    return { ahead, behind };
+  }
+
+  /**
+   * Validate band names, one unique name per dataset band
+   */
+  static validateBandNames(bandNames, totalBandsAvailable = null, source = 'user input') {
+    if (bandNames === null || bandNames === undefined) {
+      return DEFAULTS.band_names;
+    }
+    
+    if (!Array.isArray(bandNames) || !bandNames.every(name => typeof name === 'string' && name !== '')) {
+      throw new Error(`band_names: must be an array of non-empty strings from ${source}`);
+    }
+    
+    if (totalBandsAvailable !== null && bandNames.length !== totalBandsAvailable) {
+      throw new Error(`band_names: has ${bandNames.length} names for ${totalBandsAvailable} bands from ${source}`);
+    }
+    
+    if (new Set(bandNames).size !== bandNames.length) {
+      throw new Error(`band_names: names must be unique from ${source}`);
+    }
+    
+    return [...bandNames];
+  }
+
+  /**
+   * Validate band math expressions: 1 (single band) or 3 (RGB composite) expressions over
+   * dataset bands referenced by name or as b<index>
+   */
+  static validateExpressions(expressions, bandNames = null, totalBandsAvailable = null, source = 'user input') {
+    if (expressions === null || expressions === undefined) {
+      return DEFAULTS.expressions;
+    }
+    
+    if (!Array.isArray(expressions) || (expressions.length !== 1 && expressions.length !== 3)) {
+      throw new Error(`expressions: must be an array of 1 (single band) or 3 (RGB composite) expressions from ${source}`);
+    }
+    
+    expressions.forEach((expression, i) => {
+      try {
+        new ZarrExpression(expression, { bandNames, bandCount: totalBandsAvailable });
+      } catch (error) {
+        throw new Error(`expressions[${i}]: ${error.message} from ${source}`);
+      }
+    });
+    
+    return [...expressions];
+  }
+
+  /**
+   * Validate client-side statistics computation
+   */
+  static validateComputeStatistics(computeStatistics, source = 'user input') {
+    if (computeStatistics === null || computeStatistics === undefined || computeStatistics === false) {
+      return DEFAULTS.compute_statistics;
+    }
+    
+    if (computeStatistics === true) {
+      return { ...COMPUTED_STATISTICS.DEFAULTS };
+    }
+    
+    if (typeof computeStatistics !== 'object' || Array.isArray(computeStatistics)) {
+      throw new Error(`compute_statistics: must be boolean or an object with per_time and percentiles from ${source}`);
+    }
+    
+    const perTime = computeStatistics.per_time ?? COMPUTED_STATISTICS.DEFAULTS.per_time;
+    const percentiles = computeStatistics.percentiles ?? COMPUTED_STATISTICS.DEFAULTS.percentiles;
+    
+    if (typeof perTime !== 'boolean') {
+      throw new Error(`compute_statistics.per_time: must be boolean from ${source}, got ${perTime}`);
+    }
+    
+    if (!Array.isArray(percentiles) || !percentiles.every(p => typeof p === 'number' && p >= 0 && p <= 100)) {
+      throw new Error(`compute_statistics.percentiles: must be an array of numbers between 0 and 100 from ${source}`);
+    }
+    
+    return { per_time: perTime, percentiles: [...percentiles] };
+  }
+
+  /**
+   * Validate a temporal composite: a method over a fixed window {start, end} of time indices,
+   * or a rolling window {before, after} around the current time index. Without either the
+   * window spans all timesteps. Windows hold at most TEMPORAL_COMPOSITE.MAX_TIMESTEPS timesteps.
+   */
+  static validateTemporalComposite(composite, timeCount = null, source = 'user input') {
+    if (composite === null || composite === undefined || composite === false) {
+      return DEFAULTS.temporal_composite;
+    }
+    
+    if (typeof composite !== 'object' || Array.isArray(composite)) {
+      throw new Error(`temporal_composite: must be an object with method and a time window from ${source}`);
+    }
+    
+    const validMethods = Object.values(TEMPORAL_COMPOSITE_METHODS);
+    if (!validMethods.includes(composite.method)) {
+      throw new Error(`temporal_composite.method: must be one of ${validMethods.join(', ')} from ${source}, got ${composite.method}`);
+    }
+    
+    let percentile = null;
+    if (composite.method === TEMPORAL_COMPOSITE_METHODS.PERCENTILE) {
+      percentile = composite.percentile;
+      if (typeof percentile !== 'number' || !(percentile >= 0 && percentile <= 100)) {
+        throw new Error(`temporal_composite.percentile: must be a number between 0 and 100 from ${source}, got ${percentile}`);
+      }
+    }
+    
+    const fixed = composite.start !== undefined || composite.end !== undefined;
+    const rolling = composite.before !== undefined || composite.after !== undefined;
+    if (fixed && rolling) {
+      throw new Error(`temporal_composite: takes either start and end or before and after from ${source}`);
+    }
+    
+    if (rolling) {
+      const before = composite.before ?? 0;
+      const after = composite.after ?? 0;
+      for (const [name, value] of Object.entries({ before, after })) {
+        if (!Number.isInteger(value) || value < 0) {
+          throw new Error(`temporal_composite.${name}: must be a non-negative integer from ${source}, got ${value}`);
+        }
+      }
+      if (before + after + 1 > TEMPORAL_COMPOSITE.MAX_TIMESTEPS) {
+        throw new Error(`temporal_composite: window of ${before + after + 1} timesteps exceeds the limit of ${TEMPORAL_COMPOSITE.MAX_TIMESTEPS} from ${source}`);
+      }
+      return { method: composite.method, percentile, before, after };
+    }
+    
+    const lastIndex = timeCount !== null ? timeCount - 1 : Infinity;
+    const start = composite.start ?? 0;
+    const end = composite.end ?? lastIndex;
+    for (const [name, value] of Object.entries({ start, end })) {
+      if (!Number.isInteger(value) || value < 0 || value > lastIndex) {
+        throw new Error(`temporal_composite.${name}: must be a time index between 0 and ${lastIndex} from ${source}, got ${value}`);
+      }
+    }
+    if (start > end) {
+      throw new Error(`temporal_composite: start ${start} is after end ${end} from ${source}`);
+    }
+    if (end - start + 1 > TEMPORAL_COMPOSITE.MAX_TIMESTEPS) {
+      throw new Error(`temporal_composite: window of ${end - start + 1} timesteps exceeds the limit of ${TEMPORAL_COMPOSITE.MAX_TIMESTEPS}, set start and end from ${source}`);
+    }
+    
+    return { method: composite.method, percentile, start, end };
+  }
+
+  /**
+   * Validate a difference between two timesteps {from, to, mode}; from and to are time
+   * indices, or timestamps matched like setCurrentTime()
+   * @return {Object|null} {from, to, mode} with time indices
+   */
+  static validateDifference(difference, timestamps = [], source = 'user input') {
+    if (difference === null || difference === undefined || difference === false) {
+      return DEFAULTS.difference;
+    }
+    
+    if (typeof difference !== 'object' || Array.isArray(difference)) {
+      throw new Error(`difference: must be an object with from and to from ${source}`);
+    }
+    
+    const mode = difference.mode ?? DIFFERENCE_MODES.ABSOLUTE;
+    const validModes = Object.values(DIFFERENCE_MODES);
+    if (!validModes.includes(mode)) {
+      throw new Error(`difference.mode: must be one of ${validModes.join(', ')} from ${source}, got ${mode}`);
+    }
+    
+    const indices = {};
+    for (const name of ['from', 'to']) {
+      const value = difference[name];
+      const index = Number.isInteger(value) ? value : ZarrTile._findClosestTimeIndex(timestamps, value);
+      if (!(index >= 0 && index < timestamps.length)) {
+        throw new Error(`difference.${name}: must be a time index between 0 and ${timestamps.length - 1} or a timestamp from ${source}, got ${value}`);
+      }
+      indices[name] = index;
+    }
+    
+    return { from: indices.from, to: indices.to, mode };
+  }
+
+  /**
+   * Validate worker pool size, defaulting to the number of logical processors
+   */
+  static validateMaxWorkers(maxWorkers, source = 'user input') {
+    if (maxWorkers === null || maxWorkers === undefined) {
+      return (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+    }
+    
+    if (!Number.isInteger(maxWorkers) || maxWorkers < 1) {
+      throw new Error(`max_workers: must be a positive integer from ${source}, got ${maxWorkers}`);
+    }
+    
+    return maxWorkers;
+  }
+
+  /**
+   * Validate worker script URL
+   */
+  static validateWorkerUrl(workerUrl, source = 'user input') {
+    if (workerUrl === null || workerUrl === undefined) {
+      return DEFAULTS.worker_url;
+    }
+    
+    if (typeof workerUrl !== 'string' && !(workerUrl instanceof URL)) {
+      throw new Error(`worker_url: must be a string or URL from ${source}, got ${typeof workerUrl}`);
+    }
+    
+    return String(workerUrl);
+  }
+
+  /**
+   * Validate consolidated metadata flag
+   */
+  static validateConsolidated(consolidated, source = 'user input') {
+    if (consolidated === null || consolidated === undefined) {
+      return DEFAULTS.consolidated;
+    }
+    
+    if (typeof consolidated !== 'boolean') {
+      throw new Error(`consolidated: must be boolean from ${source}, got ${typeof consolidated}`);
+    }
+    
+    return consolidated;
+  }
+
   /**
    * Validate display render configuration (DRC)
    */
@@ -588,19 +1112,132 @@ class ZarrTileValidator {
   }
 
   /**
-   * Complete band validation with detailed error reporting
+   * Validate the dimensions option, or _ARRAY_DIMENSIONS: dimension names in value array order,
+   * or a {time, band, y, x} mapping to names in arrayDimensions or axis indices. Names not
+   * mapped are recognized through DIMENSION_ALIASES, other names are extra dimensions.
+   * Time and band are optional.
+   * @param {Array<string>|Object} dimensions
+   * @param {Array<string>|null} arrayDimensions _ARRAY_DIMENSIONS of the value array, or null
+   * @param {number} dimensionCount Number of value array dimensions
+   * @return {Array<string>} Role of each value array dimension, or the name of an extra
+   *   dimension, e.g. ['time', 'depth', 'y', 'x']
    */
-  static validateBands(bands, totalBandsAvailable = null, source = 'user input') {
-    if (!Array.isArray(bands)) {
-      throw new Error(`bands: must be an array from ${source}`);
+  static validateDimensions(dimensions, arrayDimensions, dimensionCount, source = 'user input') {
+    const roleNames = Object.keys(DIMENSION_ALIASES).join(', ');
+    let names;
+    let roles;
+    
+    if (Array.isArray(dimensions)) {
+      if (dimensions.length !== dimensionCount || !dimensions.every(name => typeof name === 'string')) {
+        throw new Error(`dimensions: must be ${dimensionCount} names, one per value array dimension, from ${source}, got ${JSON.stringify(dimensions)}`);
+      }
+      names = dimensions;
+      roles = new Array(dimensionCount).fill(null);
+      
+    } else if (dimensions && typeof dimensions === 'object') {
+      names = arrayDimensions;
+      roles = new Array(dimensionCount).fill(null);
+      
+      for (const [role, target] of Object.entries(dimensions)) {
+        if (!Object.hasOwn(DIMENSION_ALIASES, role)) {
+          throw new Error(`dimensions.${role}: unknown dimension, expected ${roleNames} from ${source}`);
+        }
+        const axis = Number.isInteger(target) ? target : (names?.indexOf(target) ?? -1);
+        if (!(axis >= 0 && axis < dimensionCount)) {
+          throw new Error(`dimensions.${role}: ${JSON.stringify(target)} is not a value array dimension${names ? ` (${names.join(', ')})` : ''} or axis index from ${source}`);
+        }
+        if (roles[axis]) {
+          throw new Error(`dimensions.${role}: dimension ${names?.[axis] ?? axis} is already ${roles[axis]} from ${source}`);
+        }
+        roles[axis] = role;
+      }
+      
+    } else {
+      throw new Error(`dimensions: must be an array of names or an object mapping ${roleNames} to names or axis indices from ${source}`);
     }
     
-    if (bands.length === 0) {
-      throw new Error(`bands: cannot be empty from ${source}`);
-    }
+    roles = roles.map((role, axis) => {
+      if (role) return role;
+      const name = names?.[axis];
+      if (name === undefined) {
+        throw new Error(`dimensions: cannot tell whether dimension ${axis} is ${roleNames}, map it with the dimensions option from ${source}`);
+      }
+      return Object.keys(DIMENSION_ALIASES).find(key => DIMENSION_ALIASES[key].includes(name.toLowerCase())) ?? name;
+    });
     
-    if (bands.length !== 1 && bands.length !== 3) {
-      throw new Error(`bands: must have length 1 (single band) or 3 (RGB composite), got length ${bands.length} from ${source}`);
+    const duplicate = roles.find((role, axis) => roles.indexOf(role) !== axis);
+    if (duplicate) {
+      throw new Error(`dimensions: more than one ${duplicate} dimension in [${names ? names.join(', ') : roles.join(', ')}] from ${source}`);
+    }
+    if (!roles.includes('y') || !roles.includes('x')) {
+      throw new Error(`dimensions: y and x dimensions are required, got [${roles.join(', ')}] from ${source}`);
+    }
+    if (roles.indexOf('y') > roles.indexOf('x')) {
+      throw new Error(`dimensions: y must come before x, got [${roles.join(', ')}] from ${source}`);
+    }
+    
+    return roles;
+  }
+
+  /**
+   * Validate the selected index of extra dimensions, {name: index}; dimensions not given
+   * start at their first index
+   * @param {Object|null} indices
+   * @param {Array<Object>} extraDimensions [{name, size}]
+   * @return {Object} {name: index} for every extra dimension, in value array order
+   */
+  static validateDimensionIndices(indices, extraDimensions, source = 'user input') {
+    if (indices !== null && indices !== undefined && (typeof indices !== 'object' || Array.isArray(indices))) {
+      throw new Error(`dimension_indices: must be an object {name: index} from ${source}`);
+    }
+    
+    const names = extraDimensions.map(({ name }) => name);
+    for (const name of Object.keys(indices || {})) {
+      if (!names.includes(name)) {
+        throw new Error(`dimension_indices.${name}: not an extra dimension${names.length ? ` (${names.join(', ')})` : ''} from ${source}`);
+      }
+    }
+    
+    return Object.fromEntries(extraDimensions.map(({ name, size }) => {
+      const index = indices?.[name] ?? 0;
+      if (!Number.isInteger(index) || index < 0 || index >= size) {
+        throw new Error(`dimension_indices.${name}: must be an integer from 0 to ${size - 1} from ${source}, got ${index}`);
+      }
+      return [name, index];
+    }));
+  }
+
+  /**
+   * Complete band validation with detailed error reporting
+   */
+  static validateBands(bands, totalBandsAvailable = null, source = 'user input') {
+    if (!Array.isArray(bands)) {
+      throw new Error(`bands: must be an array from ${source}`);
+    }
+    
+    if (bands.length === 0) {
+      throw new Error(`bands: cannot be empty from ${source}`);
+    }
+    
+    if (bands.length !== 1 && bands.length !== 3) {
+      throw new Error(`bands: must have length 1 (single band) or 3 (RGB composite), got length ${bands.length} from ${source}`);
+    }
+    
+    // Note: Duplicate bands are allowed - users have freedom to use duplicated bands in composition
+    
+    return ZarrTileValidator.validateBandIndices(bands, totalBandsAvailable, source);
+  }
+  
+  /**
+   * Band index validation for any number of bands, for reads that are not rendered
+   */
+  static validateBandIndices(bands, totalBandsAvailable = null, source = 'user input') {
+    if (!Array.isArray(bands)) {
+      throw new Error(`bands: must be an array from ${source}`);
+    }
+    
+    if (bands.length === 0) {
+      throw new Error(`bands: cannot be empty from ${source}`);
     }
     
     for (let i = 0; i < bands.length; i++) {
@@ -619,8 +1256,6 @@ class ZarrTileValidator {
       }
     }
     
-    // Note: Duplicate bands are allowed - users have freedom to use duplicated bands in composition
-    
     return [...bands];
   }
 
@@ -766,22 +1401,47 @@ class ZarrTileValidator {
 class ZarrTileExtractor {
   
   /**
-   * Extract group metadata from .zattrs file since zarr.js doesn't have openGroup
+   * Open the store, detect whether the group is Zarr v2 or Zarr v3 and load consolidated
+   * metadata (.zmetadata or inline v3 consolidated_metadata) when it exists
+   */
+  static async openStore(url, path, storeOptions = null, consolidated = true, verbose = false) {
+    const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
+    
+    const store = new ZarrStore(url, { ...storeOptions });
+    if (storeOptions) {
+      log('Using store options:', {
+        customFetch: store.hasCustomFetch(),
+        authHooks: store.hasAuthHooks(),
+        headers: Object.keys(store.getRequestOptions().requestInit.headers),
+        query: Boolean(store.getRequestOptions().query)
+      });
+    }
+    
+    const zarrFormat = await store.detectZarrFormat(path);
+    log(`Detected Zarr v${zarrFormat} store at: ${url}/${path}`);
+    
+    if (consolidated && await store.loadConsolidatedMetadata(path)) {
+      log(`Using consolidated metadata for: ${url}/${path}`);
+    } else {
+      log('No consolidated metadata, metadata will be requested per key');
+    }
+    
+    return store;
+  }
+
+  /**
+   * Extract group metadata from .zattrs (v2) or zarr.json attributes (v3) since zarr.js doesn't have openGroup
    */
-  static async extractGroupMetadata(url, path, verbose = false) {
+  static async extractGroupMetadata(store, path, verbose = false) {
     const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
     
     try {
-      // Construct .zattrs file URL for the group
-      const zattrsUrl = `${url}/${path}/.zattrs`.replace(/\/+/g, '/').replace(':/', '://');
-      log(`Fetching group metadata from: ${zattrsUrl}`);
-      
-      const response = await fetch(zattrsUrl);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      // Construct .zattrs key for the group, the store translates it for v3
+      const zattrsKey = `${path}/.zattrs`.replace(/\/+/g, '/');
+      log(`Fetching group metadata from: ${store.url}/${zattrsKey}`);
       
-      const metadata = await response.json();
+      const value = await store.getItem(zattrsKey);
+      const metadata = value instanceof ArrayBuffer ? JSON.parse(new TextDecoder().decode(value)) : value;
       log('Successfully extracted group metadata with keys:', Object.keys(metadata));
       return metadata;
     } catch (error) {
@@ -793,55 +1453,71 @@ class ZarrTileExtractor {
   /**
    * Extract metadata from value array using highest zoom level only
    */
-  static async extractValueArrayMetadata(url, path, arrayName, zoomLevels = null, verbose = false) {
+  static async extractValueArrayMetadata(store, path, arrayName, zoomLevels = null, levelPaths = null, verbose = false) {
     const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
     
     // Use highest zoom level available or fallback
-    let targetZoom = null;
-    if (zoomLevels && zoomLevels.length > 0) {
-      targetZoom = Math.max(...zoomLevels);
+    const levelPath = this._getHighestLevelPath(zoomLevels, levelPaths);
+    
+    // Multiscale levels are either groups holding the value array or the value array itself
+    const candidates = levelPath === null ?
+      [{ arrayPath: `${path}/${arrayName}`, levelLayout: null }] :
+      [{ arrayPath: `${path}/${levelPath}/${arrayName}`, levelLayout: 'group' }];
+    if (levelPaths) {
+      candidates.push({ arrayPath: `${path}/${levelPath}`, levelLayout: 'array' });
     }
     
-    const arrayPath = targetZoom !== null ? 
-      `${path}/${targetZoom}/${arrayName}`.replace(/\/+/g, '/') :
-      `${path}/${arrayName}`.replace(/\/+/g, '/');
+    let lastError = null;
     
-    try {
-      log(`Extracting value array metadata from: ${arrayPath}`);
-      
-      const valueArray = await openArray({ store: url, path: arrayPath, mode: 'r' });
-      
-      const metadata = {
-        shape: valueArray.meta.shape,           // Only need T and B dimensions
-        dtype: valueArray.meta.dtype,           // Data type
-        fill_value: valueArray.meta.fill_value, // NODATA value
-        path: arrayPath
-      };
+    for (const candidate of candidates) {
+      const arrayPath = candidate.arrayPath.replace(/\/+/g, '/');
       
-      log('Successfully extracted value array metadata:', {
-        shape: metadata.shape,
-        dtype: metadata.dtype,
-        fill_value: metadata.fill_value
-      });
-      
-      return metadata;
-      
-    } catch (error) {
-      throw new Error(`Could not find value array '${arrayName}' at ${arrayPath}. Error: ${error.message}`);
+      try {
+        log(`Extracting value array metadata from: ${arrayPath}`);
+        
+        const valueArray = await openArray({ store, path: arrayPath, mode: 'r' });
+        
+        const attributes = await valueArray.attrs.asObject(); // Array .zattrs, {} without
+        
+        const metadata = {
+          shape: valueArray.meta.shape,           // Only need T and B dimensions
+          dtype: valueArray.meta.dtype,           // Data type
+          fill_value: attributes._FillValue ?? valueArray.meta.fill_value, // NODATA value, CF _FillValue first
+          packing: this._extractPacking(attributes), // CF scale_factor/add_offset/valid_range, null without
+          attributes,
+          path: arrayPath,
+          levelLayout: candidate.levelLayout      // How multiscale levels hold the value array
+        };
+        
+        log('Successfully extracted value array metadata:', {
+          shape: metadata.shape,
+          dtype: metadata.dtype,
+          fill_value: metadata.fill_value,
+          packing: metadata.packing
+        });
+        
+        return metadata;
+        
+      } catch (error) {
+        lastError = new Error(`Could not find value array '${arrayName}' at ${arrayPath}. Error: ${error.message}`);
+        log(lastError.message);
+      }
     }
+    
+    throw lastError;
   }
 
   /**
    * Extract timestamps - check group root path or highest zoom level path only
    */
-  static async extractTimestamps(url, path, arrayName, zoomLevels = null, verbose = false) {
+  static async extractTimestamps(store, path, arrayName, zoomLevels = null, levelPaths = null, verbose = false) {
     const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
     
     // Try group root first, then highest zoom level
     const candidatePaths = [`${path}/${arrayName}`];
-    if (zoomLevels && zoomLevels.length > 0) {
-      const highestZoom = Math.max(...zoomLevels);
-      candidatePaths.push(`${path}/${highestZoom}/${arrayName}`);
+    const highestLevelPath = this._getHighestLevelPath(zoomLevels, levelPaths);
+    if (highestLevelPath !== null) {
+      candidatePaths.push(`${path}/${highestLevelPath}/${arrayName}`);
     }
     
     let lastError = null;
@@ -851,47 +1527,50 @@ class ZarrTileExtractor {
         const cleanPath = candidatePath.replace(/\/+/g, '/');
         log(`Trying time array at: ${cleanPath}`);
         
-        const timeArray = await openArray({ store: url, path: cleanPath, mode: 'r' });
-        const timeData = await timeArray.get([null]);
+        const { values, attributes } = await this._readCoordinateArray(store, cleanPath);
         
-        let timestamps = [];
+        // CF units such as "days since 1950-01-01" in the calendar attribute's calendar,
+        // otherwise numbers are Unix seconds or milliseconds
+        const decode = typeof attributes.units === 'string' && /\ssince\s/i.test(attributes.units) ?
+          createTimeDecoder(attributes.units, attributes.calendar ?? 'standard') : null;
+        if (decode) {
+          log(`Decoding time values as ${attributes.units} (calendar: ${attributes.calendar ?? 'standard'})`);
+        }
         
-        // Handle different time data formats
-        if (Array.isArray(timeData.data) || timeData.data instanceof Int32Array ) {
-          for (let i = 0; i < timeData.data.length; i++) {
-            const timeValue = timeData.data[i];
-            
-            if (typeof timeValue === 'number') {
-              // Assume Unix timestamp in seconds or milliseconds
-              let date;
-              if (timeValue > 1e10) {
-                // Milliseconds
-                date = new Date(timeValue);
-              } else {
-                // Seconds
-                date = new Date(timeValue * 1000);
-              }
-              
-              if (isNaN(date.getTime())) {
-                throw new Error(`Invalid timestamp at index ${i}: ${timeValue}`);
-              }
-              
-              timestamps.push(date);
-              
-            } else if (typeof timeValue === 'string') {
-              // ISO string or custom format
-              const date = new Date(timeValue);
-              if (isNaN(date.getTime())) {
-                throw new Error(`Invalid date string at index ${i}: ${timeValue}`);
-              }
-              timestamps.push(date);
-              
+        const timestamps = [];
+        
+        for (let i = 0; i < values.length; i++) {
+          const timeValue = values[i];
+          
+          if (typeof timeValue === 'number') {
+            let date;
+            if (decode) {
+              date = decode(timeValue);
+            } else if (timeValue > 1e10) {
+              // Milliseconds
+              date = new Date(timeValue);
             } else {
-              throw new Error(`Unsupported time value type at index ${i}: ${typeof timeValue}`);
+              // Seconds
+              date = new Date(timeValue * 1000);
+            }
+            
+            if (isNaN(date.getTime())) {
+              throw new Error(`Invalid timestamp at index ${i}: ${timeValue}`);
+            }
+            
+            timestamps.push(date);
+            
+          } else if (typeof timeValue === 'string') {
+            // ISO string or custom format
+            const date = new Date(timeValue);
+            if (isNaN(date.getTime())) {
+              throw new Error(`Invalid date string at index ${i}: ${timeValue}`);
             }
+            timestamps.push(date);
+            
+          } else {
+            throw new Error(`Unsupported time value type at index ${i}: ${typeof timeValue}`);
           }
-        } else {
-          throw new Error('Time data is not in expected array format');
         }
         
         log(`Successfully extracted ${timestamps.length} timestamps`);
@@ -908,16 +1587,111 @@ class ZarrTileExtractor {
   }
 
   /**
-   * Extract statistics - check group root path or highest zoom level path only
+   * Extract the coordinates of an extra dimension from the 1-D array named after it at the
+   * group root, as xarray writes them
+   * @return {Promise<Object|null>} {values, units}, null without a coordinate array of the dimension's length
+   */
+  static async extractDimensionCoordinates(store, path, name, size, verbose = false) {
+    const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
+    const arrayPath = `${path}/${name}`.replace(/\/+/g, '/');
+    
+    try {
+      const { values, attributes } = await this._readCoordinateArray(store, arrayPath);
+      if (values.length !== size) {
+        log(`Coordinate array ${arrayPath} has ${values.length} values for ${size} indices, ignoring it`);
+        return null;
+      }
+      log(`Extracted ${size} coordinates of dimension ${name} from ${arrayPath}`);
+      return { values, units: typeof attributes.units === 'string' ? attributes.units : null };
+    } catch (error) {
+      log(`No coordinates for dimension ${name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read the values of a 1-D coordinate array (time or an extra dimension) of any dtype, and
+   * its attributes. zarr.js cannot read 64-bit integers, so those arrays are read as 32-bit
+   * word pairs and combined; values beyond 2^53 lose precision.
+   * @private
+   * @return {Promise<Object>} {values: Array<number|string>, attributes}
+   */
+  static async _readCoordinateArray(store, path) {
+    let coordinateArray = await openArray({ store, path, mode: 'r' });
+    const attributes = await coordinateArray.attrs.asObject();
+    const { dtype, shape } = coordinateArray.meta;
+    
+    if (!/^[<>|][iu]8$/.test(dtype)) {
+      const { data } = await coordinateArray.get([null]);
+      if (!Array.isArray(data) && !ArrayBuffer.isView(data)) {
+        throw new Error('Coordinate data is not in expected array format');
+      }
+      return { values: Array.from(data), attributes };
+    }
+    
+    if (shape.length !== 1 || coordinateArray.meta.filters?.length) {
+      throw new Error(`Coordinate arrays of dtype ${dtype} must be 1-D without filters`);
+    }
+    
+    coordinateArray = await openArray({ store: this._createWordPairStore(store, path), path, mode: 'r' });
+    const { data: words } = await coordinateArray.get([null]);
+    
+    // Little endian values are stored low word first, big endian high word first
+    const [low, high] = dtype[0] === '>' ? [1, 0] : [0, 1];
+    const signed = dtype[1] === 'i';
+    const values = [];
+    for (let i = 0; i < words.length; i += 2) {
+      const highWord = signed ? words[i + high] | 0 : words[i + high] >>> 0;
+      values.push(highWord * 2 ** 32 + (words[i + low] >>> 0));
+    }
+    
+    return { values, attributes };
+  }
+  
+  /**
+   * Wrap a store so a 1-D 64-bit integer array reads as a 32-bit array of twice its length
+   * @private
+   */
+  static _createWordPairStore(store, path) {
+    // zarr.js builds keys from the path without leading, trailing or repeated slashes
+    const normalizeKey = (key) => String(key).replace(/\\/g, '/').replace(/\/+/g, '/').replace(/^\/|\/$/g, '');
+    const metadataKey = normalizeKey(`${path}/.zarray`);
+    
+    return {
+      getItem: async (key, opts) => {
+        const item = await store.getItem(key, opts);
+        if (normalizeKey(key) !== metadataKey) return item;
+        
+        const metadata = item instanceof ArrayBuffer || ArrayBuffer.isView(item) ?
+          JSON.parse(new TextDecoder().decode(item)) :
+          typeof item === 'string' ? JSON.parse(item) : item;
+        return {
+          ...metadata,
+          dtype: `${metadata.dtype[0] === '>' ? '>' : '<'}u4`,
+          shape: [metadata.shape[0] * 2],
+          chunks: [metadata.chunks[0] * 2],
+          fill_value: 0
+        };
+      },
+      containsItem: (key) => store.containsItem(key),
+      keys: () => store.keys()
+    };
+  }
+
+  /**
+   * Extract statistics - check group root path or highest zoom level path only.
+   * With extra dimensions the array may be [time, ...extra dimensions, band, stats], its
+   * statistics are then returned per combination of extra dimension indices.
+   * @param {Array<Object>} [extraDimensions] [{name, size}] of the value array
    */
-  static async extractStatistics(url, path, arrayName, zoomLevels = null, keyIndices = null, verbose = false) {
+  static async extractStatistics(store, path, arrayName, zoomLevels = null, levelPaths = null, keyIndices = null, extraDimensions = [], verbose = false) {
     const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
     
     // Try group root first, then highest zoom level
     const candidatePaths = [`${path}/${arrayName}`];
-    if (zoomLevels && zoomLevels.length > 0) {
-      const highestZoom = Math.max(...zoomLevels);
-      candidatePaths.push(`${path}/${highestZoom}/${arrayName}`);
+    const highestLevelPath = this._getHighestLevelPath(zoomLevels, levelPaths);
+    if (highestLevelPath !== null) {
+      candidatePaths.push(`${path}/${highestLevelPath}/${arrayName}`);
     }
     
     let lastError = null;
@@ -927,30 +1701,48 @@ class ZarrTileExtractor {
         const cleanPath = candidatePath.replace(/\/+/g, '/');
         log(`Trying statistics array at: ${cleanPath}`);
         
-        const statsArray = await openArray({ store: url, path: cleanPath, mode: 'r' });
+        const statsArray = await openArray({ store, path: cleanPath, mode: 'r' });
         const statsShape = statsArray.meta.shape;
         
         log(`Statistics array shape: [${statsShape.join(', ')}]`);
         
-        if (statsShape.length !== 3) {
-          throw new Error(`Expected 3D statistics array [time, band, stats], got ${statsShape.length}D`);
+        // Extra dimensions sit between time and band, with the value array's lengths
+        const extraSizes = statsShape.length === 3 ? [] : statsShape.slice(1, -2);
+        if (statsShape.length !== 3 && (extraSizes.length !== extraDimensions.length ||
+            extraSizes.some((size, i) => size !== extraDimensions[i].size))) {
+          throw new Error(`Expected statistics array [time, band, stats]${extraDimensions.length ? ` or [time, ${extraDimensions.map(({ name }) => name).join(', ')}, band, stats]` : ''}, got shape [${statsShape.join(', ')}]`);
         }
         
-        const [timeCount, bandCount, statsCount] = statsShape;
+        const [timeCount, bandCount, statsCount] = [statsShape[0], ...statsShape.slice(-2)];
         
         // Load all statistics data
         log('Loading complete statistics array...');
-        const statsData = await statsArray.get([null, null, null]);
+        const statsData = await statsArray.get(statsShape.map(() => null));
         
-        // Convert to case 5 format: [{min: [value], max: [value], ...}] per dataset band, per time
-        const statistics = this._convertStatsArrayToCase5(
-          statsData.data, statsShape, keyIndices || DEFAULTS.statistics_key_indices, verbose
+        // Convert to case 5 format: [{min: [value], max: [value], ...}] per dataset band, per time,
+        // for each combination of extra dimension indices
+        const toCase5 = (data) => this._convertStatsArrayToCase5(
+          data, [timeCount, bandCount, statsCount], keyIndices || DEFAULTS.statistics_key_indices, verbose
         );
         
-        log(`Successfully extracted statistics for ${bandCount} bands and ${timeCount} timesteps`);
+        let statistics;
+        let dimensionStatistics = null;
+        if (extraSizes.length === 0) {
+          statistics = toCase5(statsData.data);
+        } else {
+          dimensionStatistics = {};
+          for (const indices of ZarrTileResolver._getIndexCombinations(extraSizes)) {
+            const data = Array.from(statsData.data, timeData => indices.reduce((rows, i) => rows[i], timeData));
+            dimensionStatistics[JSON.stringify(indices)] = toCase5(data);
+          }
+          statistics = dimensionStatistics[JSON.stringify(extraSizes.map(() => 0))];
+        }
+        
+        log(`Successfully extracted statistics for ${bandCount} bands and ${timeCount} timesteps${dimensionStatistics ? ` at ${Object.keys(dimensionStatistics).length} extra dimension indices` : ''}`);
         
         return {
           statistics: statistics,
+          dimensionStatistics,
           format: STATISTICS_FORMATS.CASE5,
           shape: statsShape,
           path: cleanPath
@@ -966,6 +1758,40 @@ class ZarrTileExtractor {
     return null;
   }
 
+  /**
+   * Read CF packing attributes of the value array: scale_factor, add_offset and valid_range
+   * or valid_min/valid_max, null when there are none
+   * @private
+   */
+  static _extractPacking(attributes) {
+    const {
+      scale_factor: scale, add_offset: offset,
+      valid_range: validRange, valid_min: validMin, valid_max: validMax
+    } = attributes;
+    
+    if ([scale, offset, validRange, validMin, validMax].every(value => value === undefined)) {
+      return null;
+    }
+    
+    return {
+      scale: scale ?? 1,
+      offset: offset ?? 0,
+      validRange: validRange ?? (validMin !== undefined || validMax !== undefined ?
+        [validMin ?? -Infinity, validMax ?? Infinity] : null)
+    };
+  }
+  
+  /**
+   * Get the store path of the highest zoom level, mapped through multiscale level paths if present
+   * @private
+   */
+  static _getHighestLevelPath(zoomLevels, levelPaths) {
+    if (!zoomLevels || zoomLevels.length === 0) return null;
+    
+    const highestZoom = Math.max(...zoomLevels);
+    return levelPaths ? levelPaths[highestZoom] : `${highestZoom}`;
+  }
+
   /**
    * Convert statistics array data to case 5 format
    * @private
@@ -1007,7 +1833,7 @@ class ZarrTileResolver {
   /**
    * Resolve all properties with complete implementation and strategy support
    */
-  static async resolveAllProperties(options, groupMetadata, valueArrayMetadata, verbose = false) {
+  static async resolveAllProperties(options, store, groupMetadata, valueArrayMetadata, verbose = false) {
     const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
     log('Starting resolution of all properties with render configuration...');
     
@@ -1022,18 +1848,33 @@ class ZarrTileResolver {
     log(`2. Extent resolved: [${resolved.extent.join(', ')}]`);
     
     // Property 3 & 4: Zoom levels and resolutions (required) - user > group > error
-    const { zoomLevels, resolutions } = this._resolveZoomAndResolutions(options, groupMetadata, verbose);
+    const { zoomLevels, resolutions, levelPaths } = this._resolveZoomAndResolutions(options, groupMetadata, verbose);
     resolved.zoomLevels = zoomLevels;
     resolved.resolutions = resolutions;
     log(`3. Zoom levels resolved: [${resolved.zoomLevels.join(', ')}]`);
     log(`4. Resolutions resolved: [${resolved.resolutions.join(', ')}]`);
     
+    // Property 4a: Level paths - only for multiscales pyramids, otherwise levels are stored as {zoom}/
+    resolved.levelPaths = levelPaths || null;
+    resolved.levelLayout = levelPaths ? valueArrayMetadata.levelLayout : null;
+    if (resolved.levelPaths) {
+      log(`4a. Level paths resolved from multiscales (${resolved.levelLayout} layout):`, resolved.levelPaths);
+    }
+    
     // Property 5 & 6: URL and path (already validated)
     resolved.url = ZarrTile._normalizeUrl(options.url);
     resolved.path = options.path;
     log(`5. URL resolved: ${resolved.url}`);
     log(`6. Path resolved: ${resolved.path}`);
     
+    // Property 6a: Zarr format - detected from the store
+    resolved.zarrFormat = store.zarrFormat;
+    log(`6a. Zarr format resolved: v${resolved.zarrFormat}`);
+    
+    // Property 6b: Consolidated metadata - detected from the store
+    resolved.consolidated = store.hasConsolidatedMetadata();
+    log(`6b. Consolidated metadata resolved: ${resolved.consolidated}`);
+    
     // Property 7, 8, 9: Array names - user > default
     resolved.arrayNames = {
       value: options.value_array_name || DEFAULTS.value_array_name,
@@ -1044,37 +1885,112 @@ class ZarrTileResolver {
     log(`8. Time array name: ${resolved.arrayNames.time}`);
     log(`9. Statistics array name: ${resolved.arrayNames.statistics}`);
     
+    // Property 9a: Dimensions - user > _ARRAY_DIMENSIONS > inferred from the number of dimensions
+    resolved.dimensions = this._resolveDimensions(options, valueArrayMetadata, verbose);
+    log(`9a. Dimensions resolved: [${resolved.dimensions.join(', ')}]`);
+    
+    // Property 9b: Extra dimensions - coordinates from arrays named after them, index user > 0
+    resolved.extraDimensions = await this._resolveExtraDimensions(resolved, store, valueArrayMetadata, verbose);
+    resolved.dimensionIndices = ZarrTileValidator.validateDimensionIndices(
+      options.dimension_indices, resolved.extraDimensions, 'user input'
+    );
+    log(`9b. Extra dimensions resolved: ${resolved.extraDimensions.length ? resolved.extraDimensions.map(({ name, size }) => `${name} (${size}, index ${resolved.dimensionIndices[name]})`).join(', ') : 'none'}`);
+    
     // Property 10: Timestamps - user > time_array > value_array_shape > error
     const timestampResult = await this._resolveTimestamps(
-      options, resolved, valueArrayMetadata, verbose
+      options, resolved, store, valueArrayMetadata, verbose
     );
     resolved.timestamps = timestampResult.timestamps;
     resolved.timestampType = timestampResult.type;
     log(`10. Timestamps resolved: ${resolved.timestamps.length} entries (type: ${resolved.timestampType})`);
     
     // Property 11: Bands - user > default, validated against dataset
-    resolved.bands = this._resolveBands(options, valueArrayMetadata, verbose);
+    resolved.bands = this._resolveBands(options, valueArrayMetadata, resolved.dimensions, verbose);
     log(`11. Bands resolved: [${resolved.bands.join(', ')}]`);
     
+    // Property 11a: Band names - user > group > null
+    const totalBands = this._getDimensionSize(valueArrayMetadata.shape, resolved.dimensions, 'band');
+    resolved.bandNames = ZarrTileValidator.validateBandNames(
+      options.band_names || groupMetadata.band_names, totalBands, options.band_names ? 'user input' : 'group metadata'
+    );
+    log(`11a. Band names resolved: ${resolved.bandNames ? resolved.bandNames.join(', ') : 'none'}`);
+    
+    // Property 11b: Band math expressions - user > null (raw bands)
+    resolved.expressions = ZarrTileValidator.validateExpressions(options.expressions, resolved.bandNames, totalBands, 'user input');
+    log(`11b. Expressions resolved: ${resolved.expressions ? resolved.expressions.join(' | ') : 'none (raw bands)'}`);
+    
+    // Property 11c: Temporal composite - user > null (single timestep)
+    resolved.temporalComposite = ZarrTileValidator.validateTemporalComposite(
+      options.temporal_composite, this._getDimensionSize(valueArrayMetadata.shape, resolved.dimensions, 'time'), 'user input'
+    );
+    log(`11c. Temporal composite resolved: ${resolved.temporalComposite ? resolved.temporalComposite.method : 'none'}`);
+    
+    // Property 11d: Difference between two timesteps - user > null
+    resolved.difference = ZarrTileValidator.validateDifference(options.difference, resolved.timestamps, 'user input');
+    if (resolved.difference && resolved.temporalComposite) {
+      throw new Error('difference: cannot be combined with temporal_composite from user input');
+    }
+    log(`11d. Difference resolved: ${resolved.difference ? `${resolved.difference.mode}, ${resolved.difference.from} to ${resolved.difference.to}` : 'none'}`);
+    
     // Property 12: NODATA - user > group > value_array > null
-    const nodataResult = this._resolveNodata(options, groupMetadata, valueArrayMetadata, resolved.bands, verbose);
+    const nodataResult = this._resolveNodata(options, groupMetadata, valueArrayMetadata, resolved.bands, resolved.dimensions, verbose);
     resolved.nodata = nodataResult.value;
     resolved.nodataFormat = nodataResult.format;
     log(`12. NODATA resolved: ${resolved.nodata} (format: ${resolved.nodataFormat})`);
     
+    // Property 12a: Categories - user > value_array > group > null (continuous data)
+    resolved.categories = this._resolveCategories(options, groupMetadata, valueArrayMetadata, verbose);
+    if (resolved.categories && (resolved.expressions || resolved.temporalComposite || resolved.difference)) {
+      throw new Error('categories: class values cannot be combined with expressions, temporal_composite or difference (pass categories: false to ignore them) from user input');
+    }
+    log(`12a. Categories resolved: ${resolved.categories ? `${resolved.categories.length} classes` : 'none (continuous data)'}`);
+    
+    // Property 12b: CF packing - value_array > null; values are unpacked in the worker, NODATA stays packed
+    resolved.packing = ZarrTileValidator.validatePacking(valueArrayMetadata.packing, 'value array metadata');
+    log(`12b. Packing resolved: ${resolved.packing ? `value * ${resolved.packing.scale} + ${resolved.packing.offset}${resolved.packing.validRange ? `, valid range [${resolved.packing.validRange.join(', ')}]` : ''}` : 'none'}`);
+    
     // Property 13 & 14: Statistics and key indices - user > stats_array > group > dtype_limits
-    const { statistics, statisticsFormat, statisticsKeyIndices, availableStatsKeys } = await this._resolveStatistics(
-      options, resolved, valueArrayMetadata, verbose
+    const { statistics, statisticsFormat, statisticsSource, statisticsKeyIndices, availableStatsKeys, computeStatistics, dimensionStatistics } = await this._resolveStatistics(
+      options, resolved, store, valueArrayMetadata, verbose
     );
+    resolved.computeStatistics = computeStatistics;
     resolved.statistics = statistics;
+    resolved.dimensionStatistics = dimensionStatistics; // Statistics array per extra dimension index, or null
     resolved.statisticsFormat = statisticsFormat;
+    resolved.statisticsSource = statisticsSource;
     resolved.statisticsKeyIndices = statisticsKeyIndices;
     resolved.availableStatsKeys = availableStatsKeys;
-    log(`13. Statistics resolved (format: ${resolved.statisticsFormat})`);
+    log(`13. Statistics resolved (format: ${resolved.statisticsFormat}, source: ${resolved.statisticsSource})`);
+    
+    // Property 13a: Statistics of the expression outputs - sampled unless user statistics describe the composition
+    resolved.expressionStatistics = null;
+    if (resolved.expressions && !ZarrTile._statisticsDescribeComposition(resolved)) {
+      resolved.expressionStatistics = await this._computeExpressionStatistics(
+        options, resolved, store, valueArrayMetadata, resolved.expressions, verbose
+      );
+      if (resolved.expressionStatistics) {
+        resolved.availableStatsKeys = [...new Set([...resolved.availableStatsKeys, ...resolved.expressionStatistics.keys])];
+      }
+    }
+    log(`13a. Expression statistics resolved: ${resolved.expressionStatistics ? `sampled (${resolved.expressionStatistics.format})` : 'not needed'}`);
+    
+    // Property 13b: Statistics keys of a temporal composite or difference - sampled once the source exists
+    if (resolved.temporalComposite || resolved.difference) {
+      const { percentiles } = this._getChannelSamplingOptions(options.compute_statistics, options.normalize);
+      resolved.availableStatsKeys = [...new Set([
+        ...resolved.availableStatsKeys, 'min', 'max', 'mean', 'std', ...percentiles.map(p => `p${p}`)
+      ])];
+      log(`13b. Temporal statistics keys: ${resolved.availableStatsKeys.join(', ')}`);
+    }
     log(`14. Statistics key indices resolved: ${Object.keys(resolved.statisticsKeyIndices).join(', ')}`);
     
-    // Property 15: Normalization - user > null, validate against available statistics keys
-    resolved.normalize = ZarrTileValidator.validateNormalization(options.normalize, resolved.availableStatsKeys, 'user input');
+    // Property 15: Normalization - user > null, validate against available statistics keys;
+    // class values are never normalized
+    resolved.normalize = resolved.categories ? null :
+      ZarrTileValidator.validateNormalization(options.normalize, resolved.availableStatsKeys, 'user input');
+    if (resolved.categories && options.normalize) {
+      log('Warning: normalize is ignored for categorical data');
+    }
     log(`15. Normalization resolved: ${resolved.normalize ? `${resolved.normalize.min_key} to ${resolved.normalize.max_key} (strategy: ${resolved.normalize.strategy})` : 'none'}`);
     
     // Property 16: Verbose - user > default
@@ -1096,6 +2012,25 @@ class ZarrTileResolver {
     log(`20. NODATA replace value resolved: ${resolved.nodataReplaceValue}`);
     log(`21. Mask NODATA resolved: ${resolved.maskNodata}`);
     
+    // Property 21a: Prefetch of neighbouring timesteps - user > default (off)
+    resolved.prefetch = ZarrTileValidator.validatePrefetch(options.prefetch, 'user input');
+    log(`21a. Prefetch resolved: ${resolved.prefetch ? `${resolved.prefetch.ahead} ahead, ${resolved.prefetch.behind} behind` : 'off'}`);
+    
+    // Property 21b: Worker pool - user > defaults (hardwareConcurrency, bundled worker)
+    resolved.maxWorkers = ZarrTileValidator.validateMaxWorkers(options.max_workers, 'user input');
+    resolved.workerUrl = ZarrTileValidator.validateWorkerUrl(options.worker_url, 'user input');
+    log(`21b. Worker pool resolved: ${resolved.maxWorkers} workers, ${resolved.workerUrl || 'default worker URL'}`);
+    
+    // Property 21c: Colormap - user > null, applied to single channel display tiles
+    resolved.colormap = ZarrTileValidator.validateColormap(options.colormap, 'user input');
+    if (resolved.colormap && resolved.renderType !== RENDER_TYPES.DISPLAY) {
+      throw new Error(`colormap: requires render_type '${RENDER_TYPES.DISPLAY}' from user input, got ${resolved.renderType}`);
+    }
+    if (resolved.colormap && resolved.categories) {
+      throw new Error('colormap: cannot be used with categorical data, colors come from the categories (pass categories: false to ignore them) from user input');
+    }
+    log(`21c. Colormap resolved: ${resolved.colormap ? `${resolved.colormap.type}, ${resolved.colormap.stops.length} stops` : 'none'}`);
+    
     // Display Render Configuration (only for display render type)
     if (resolved.renderType === RENDER_TYPES.DISPLAY) {
       resolved.drc = ZarrTileValidator.validateDisplayRenderConfig(options.drc, resolved.availableStatsKeys, 'user input');
@@ -1125,6 +2060,11 @@ class ZarrTileResolver {
     // Pre-calculate global statistics for normalization strategies
     if (resolved.normalize && resolved.normalize.strategy !== NORMALIZATION_STRATEGIES.PER_BAND_PER_TIME) {
       resolved.globalStatistics = this._calculateGlobalStatistics(resolved, verbose);
+      if (resolved.expressionStatistics) {
+        resolved.expressionStatistics.globalStatistics = this._calculateExpressionGlobalStatistics(
+          resolved.expressionStatistics, resolved.normalize, resolved.timestamps, verbose
+        );
+      }
       log('23. Global statistics calculated for normalization strategies');
     }
     
@@ -1334,13 +2274,109 @@ class ZarrTileResolver {
       );
     }
     
+    // OME-NGFF / GeoZarr multiscales with arbitrary level names
+    const multiscales = this._resolveMultiscales(groupMetadata, verbose);
+    if (multiscales) {
+      log('Using zoom levels and resolutions from multiscales metadata');
+      const validated = ZarrTileValidator.validateZoomAndResolutions(
+        multiscales.zoomLevels, multiscales.resolutions, 'multiscales metadata'
+      );
+      return { ...validated, levelPaths: multiscales.levelPaths };
+    }
+    
     throw new Error('zoomLevels and resolutions: must be provided by user or available in group metadata');
   }
   
+  /**
+   * Build zoom levels, resolutions and level paths from OME-NGFF / GeoZarr `multiscales` metadata.
+   * Levels are ordered coarsest first and numbered from 1, keeping zoom 0 free for OpenLayers.
+   * @return {Object|null} {zoomLevels, resolutions, levelPaths} or null if no multiscales metadata
+   */
+  static _resolveMultiscales(groupMetadata, verbose) {
+    const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
+    
+    const multiscales = groupMetadata.multiscales || groupMetadata.ome?.multiscales;
+    if (!multiscales) return null;
+    
+    let levels = null;
+    
+    if (Array.isArray(multiscales)) {
+      // OME-NGFF style: [{axes, datasets: [{path, coordinateTransformations}], coordinateTransformations}]
+      const multiscale = multiscales[0];
+      if (!multiscale || !Array.isArray(multiscale.datasets) || multiscale.datasets.length === 0) {
+        throw new Error('multiscales: first entry must have a non-empty datasets array');
+      }
+      
+      const xAxisIndex = this._getMultiscalesXAxisIndex(multiscale);
+      const globalScale = this._getScaleTransform(multiscale.coordinateTransformations);
+      
+      levels = multiscale.datasets.map((dataset, i) => {
+        if (!dataset || typeof dataset.path !== 'string') {
+          throw new Error(`multiscales.datasets[${i}]: must have a path`);
+        }
+        const scale = this._getScaleTransform(dataset.coordinateTransformations);
+        if (!scale) {
+          throw new Error(`multiscales.datasets[${i}]: missing scale coordinate transformation, provide zoomLevels and resolutions instead`);
+        }
+        const axisIndex = xAxisIndex !== null ? xAxisIndex : scale.length - 1;
+        const resolution = scale[axisIndex] * (globalScale ? globalScale[axisIndex] : 1);
+        return { path: dataset.path, resolution };
+      });
+      
+    } else if (typeof multiscales === 'object' && Array.isArray(multiscales.tile_matrix_set?.tileMatrices)) {
+      // GeoZarr style: {tile_matrix_set: {tileMatrices: [{id, cellSize}]}}
+      levels = multiscales.tile_matrix_set.tileMatrices.map((tileMatrix, i) => {
+        if (!tileMatrix || tileMatrix.id === undefined || typeof tileMatrix.cellSize !== 'number') {
+          throw new Error(`multiscales.tile_matrix_set.tileMatrices[${i}]: must have id and numeric cellSize`);
+        }
+        return { path: String(tileMatrix.id), resolution: tileMatrix.cellSize };
+      });
+      
+    } else {
+      throw new Error('multiscales: unsupported format, expected OME-NGFF datasets or GeoZarr tile_matrix_set');
+    }
+    
+    // Coarsest level first so zoom levels ascend as resolutions descend
+    levels.sort((a, b) => b.resolution - a.resolution);
+    
+    const zoomLevels = levels.map((_, i) => i + 1);
+    const resolutions = levels.map(level => level.resolution);
+    const levelPaths = {};
+    levels.forEach((level, i) => {
+      levelPaths[zoomLevels[i]] = level.path;
+    });
+    
+    log(`Resolved ${levels.length} multiscales levels: [${levels.map(l => `${l.path}@${l.resolution}`).join(', ')}]`);
+    return { zoomLevels, resolutions, levelPaths };
+  }
+  
+  /**
+   * Find the x axis index from multiscales axes, or null to use the last axis
+   * @private
+   */
+  static _getMultiscalesXAxisIndex(multiscale) {
+    if (!Array.isArray(multiscale.axes)) return null;
+    
+    const names = multiscale.axes.map(axis => (typeof axis === 'string' ? axis : axis?.name));
+    const index = names.findIndex(name => ['x', 'lon', 'longitude', 'easting'].includes(String(name).toLowerCase()));
+    return index >= 0 ? index : null;
+  }
+  
+  /**
+   * Get the scale vector from a list of coordinate transformations
+   * @private
+   */
+  static _getScaleTransform(transformations) {
+    if (!Array.isArray(transformations)) return null;
+    
+    const scale = transformations.find(t => t && t.type === 'scale' && Array.isArray(t.scale));
+    return scale ? scale.scale : null;
+  }
+  
   /**
    * Complete timestamp resolution with all format support
    */
-  static async _resolveTimestamps(options, resolved, valueArrayMetadata, verbose) {
+  static async _resolveTimestamps(options, resolved, store, valueArrayMetadata, verbose) {
     const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
     
     if (options.timestamps) {
@@ -1352,7 +2388,7 @@ class ZarrTileResolver {
     try {
       log('Attempting to extract timestamps from time array');
       const extractedTimestamps = await ZarrTileExtractor.extractTimestamps(
-        resolved.url, resolved.path, resolved.arrayNames.time, resolved.zoomLevels, verbose
+        store, resolved.path, resolved.arrayNames.time, resolved.zoomLevels, resolved.levelPaths, verbose
       );
       
       if (extractedTimestamps && extractedTimestamps.length > 0) {
@@ -1363,16 +2399,16 @@ class ZarrTileResolver {
       log(`Could not extract timestamps from time array: ${error.message}`);
     }
     
-    // Fallback: infer from value array shape (time is first dimension)
-    if (valueArrayMetadata.shape && valueArrayMetadata.shape.length >= 3 && valueArrayMetadata.shape[0] > 1) {
-      const timeCount = valueArrayMetadata.shape[0];
+    // Fallback: infer from the length of the time dimension, 1 for arrays without one
+    const timeCount = this._getDimensionSize(valueArrayMetadata.shape, resolved.dimensions, 'time');
+    if (timeCount > 1) {
       log(`Inferring ${timeCount} timestamps from value array shape`);
       const inferredTimestamps = Array.from({ length: timeCount }, (_, i) => i);
       return { timestamps: inferredTimestamps, type: 'inferred_from_shape' };
     }
     
     // Single timestep fallback
-    if (valueArrayMetadata.shape && valueArrayMetadata.shape.length >= 3 && valueArrayMetadata.shape[0] === 1) {
+    if (timeCount === 1) {
       log('Single timestep detected from value array shape');
       return { timestamps: [0], type: 'single_timestep' };
     }
@@ -1381,59 +2417,193 @@ class ZarrTileResolver {
   }
   
   /**
-   * Complete band resolution with validation
-   */
-  static _resolveBands(options, valueArrayMetadata, verbose) {
-    const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
-    
-    const bands = options.bands || DEFAULTS.bands;
-    let totalBands = null;
-    
-    if (valueArrayMetadata.shape && valueArrayMetadata.shape.length >= 2) {
-      totalBands = valueArrayMetadata.shape[1]; // Second dimension is bands
-      log(`Dataset has ${totalBands} bands available`);
-    }
-    
-    log('Validating band configuration');
-    return ZarrTileValidator.validateBands(bands, totalBands, 'user input or default');
-  }
-  
-  /**
-   * Complete NODATA resolution with all format support
+   * Resolve the role of each value array dimension from the dimensions option, the xarray
+   * _ARRAY_DIMENSIONS attribute (dimension_names in v3), or the number of dimensions:
+   * [y, x], [time, y, x] or [time, band, y, x]
+   * @private
+   * @return {Array<string>} Role of each dimension: time, band, y or x
    */
-  static _resolveNodata(options, groupMetadata, valueArrayMetadata, bandsConfig, verbose) {
+  static _resolveDimensions(options, valueArrayMetadata, verbose) {
     const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
     
-    let totalBands = null;
-    if (valueArrayMetadata.shape && valueArrayMetadata.shape.length >= 2) {
-      totalBands = valueArrayMetadata.shape[1];
+    const dimensionCount = valueArrayMetadata.shape.length;
+    let arrayDimensions = valueArrayMetadata.attributes?._ARRAY_DIMENSIONS ?? null;
+    if (arrayDimensions && (!Array.isArray(arrayDimensions) || arrayDimensions.length !== dimensionCount ||
+        !arrayDimensions.every(name => typeof name === 'string'))) {
+      log(`Warning: ignoring _ARRAY_DIMENSIONS ${JSON.stringify(arrayDimensions)}, which does not name the ${dimensionCount} value array dimensions`);
+      arrayDimensions = null;
     }
     
-    if (options.nodata !== undefined) {
-      log('Using user-provided NODATA configuration');
-      return ZarrTileValidator.validateNodata(options.nodata, bandsConfig, totalBands, 'user input');
+    if (options.dimensions !== undefined && options.dimensions !== null) {
+      log('Using user-provided dimensions');
+      return ZarrTileValidator.validateDimensions(options.dimensions, arrayDimensions, dimensionCount, 'user input');
     }
     
-    // Try group metadata
-    if (groupMetadata.nodata !== undefined) {
-      log('Using NODATA from group metadata');
-      return ZarrTileValidator.validateNodata(groupMetadata.nodata, bandsConfig, totalBands, 'group metadata');
+    if (arrayDimensions) {
+      log(`Using _ARRAY_DIMENSIONS: [${arrayDimensions.join(', ')}]`);
+      return ZarrTileValidator.validateDimensions(arrayDimensions, null, dimensionCount, 'value array _ARRAY_DIMENSIONS');
     }
     
-    // Try value array metadata
-    if (valueArrayMetadata.fill_value !== undefined && valueArrayMetadata.fill_value !== null) {
-      log('Using fill_value from value array metadata as NODATA');
-      return ZarrTileValidator.validateNodata(valueArrayMetadata.fill_value, bandsConfig, totalBands, 'value array fill_value');
+    if (!DEFAULT_DIMENSIONS[dimensionCount]) {
+      throw new Error(`dimensions: cannot infer the dimensions of a ${dimensionCount}-D value array without _ARRAY_DIMENSIONS, pass the dimensions option`);
     }
-    
-    log('No NODATA configuration found, disabling NODATA masking');
-    return { value: null, format: null };
+    log(`Inferring dimensions from the ${dimensionCount}-D value array`);
+    return [...DEFAULT_DIMENSIONS[dimensionCount]];
   }
   
   /**
-   * Complete statistics resolution with flexible key support
+   * Describe the extra dimensions of the value array, those besides time, band, y and x
+   * @private
+   * @return {Promise<Array<Object>>} [{name, size, values, units}], values and units null
+   *   without a coordinate array
    */
-  static async _resolveStatistics(options, resolved, valueArrayMetadata, verbose) {
+  static async _resolveExtraDimensions(resolved, store, valueArrayMetadata, verbose) {
+    const extraDimensions = [];
+    
+    for (const [axis, name] of resolved.dimensions.entries()) {
+      if (Object.hasOwn(DIMENSION_ALIASES, name)) continue;
+      
+      const size = valueArrayMetadata.shape[axis];
+      const coordinates = await ZarrTileExtractor.extractDimensionCoordinates(store, resolved.path, name, size, verbose);
+      extraDimensions.push({ name, size, values: coordinates?.values ?? null, units: coordinates?.units ?? null });
+    }
+    
+    return extraDimensions;
+  }
+  
+  /**
+   * Key of a combination of extra dimension indices, for statistics kept per combination
+   * @private
+   */
+  static _getDimensionKey(dimensionIndices) {
+    return JSON.stringify(Object.values(dimensionIndices));
+  }
+  
+  /**
+   * Every combination of indices of dimensions with the given sizes, the last varying fastest
+   * @private
+   */
+  static _getIndexCombinations(sizes) {
+    return sizes.reduce((combinations, size) => combinations.flatMap(indices =>
+      Array.from({ length: size }, (_, i) => [...indices, i])), [[]]);
+  }
+  
+  /**
+   * Length of a dimension of the value array, 1 when the array does not have it
+   * @private
+   */
+  static _getDimensionSize(shape, dimensions, role) {
+    const axis = dimensions.indexOf(role);
+    return axis === -1 ? 1 : shape[axis];
+  }
+  
+  /**
+   * Complete band resolution with validation
+   */
+  static _resolveBands(options, valueArrayMetadata, dimensions, verbose) {
+    const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
+    
+    const bands = options.bands || DEFAULTS.bands;
+    const totalBands = this._getDimensionSize(valueArrayMetadata.shape, dimensions, 'band');
+    log(`Dataset has ${totalBands} bands available`);
+    
+    log('Validating band configuration');
+    return ZarrTileValidator.validateBands(bands, totalBands, 'user input or default');
+  }
+  
+  /**
+   * Resolve class definitions: the categories option, or a `categories` attribute or CF
+   * flag_values/flag_meanings (with optional flag_colors) on the value array, then the group
+   */
+  static _resolveCategories(options, groupMetadata, valueArrayMetadata, verbose) {
+    const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
+    
+    if (options.categories === false) return null;
+    if (options.categories !== null && options.categories !== undefined) {
+      return ZarrTileValidator.validateCategories(options.categories, 'user input');
+    }
+    
+    for (const [attributes, source] of [[valueArrayMetadata.attributes, 'value array metadata'], [groupMetadata, 'group metadata']]) {
+      const categories = this._categoriesFromAttributes(attributes || {});
+      if (categories) {
+        log(`Categories found in ${source}`);
+        return ZarrTileValidator.validateCategories(categories, source);
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Read class definitions from attributes: `categories` as [{value, label, color}] or
+   * {value: label | {label, color}}, or CF flag_values with flag_meanings (space separated,
+   * underscores read as spaces) and flag_colors
+   * @return {Array<Object>|null}
+   */
+  static _categoriesFromAttributes(attributes) {
+    const { categories, flag_values: flagValues, flag_meanings: flagMeanings, flag_colors: flagColors } = attributes;
+    const split = (list) => typeof list === 'string' ? list.trim().split(/\s+/) : list;
+    
+    if (Array.isArray(categories)) {
+      return categories;
+    }
+    
+    if (categories && typeof categories === 'object') {
+      return Object.entries(categories).map(([value, entry]) => ({
+        value: Number(value),
+        ...(typeof entry === 'string' ? { label: entry } : entry)
+      }));
+    }
+    
+    if (flagValues !== undefined) {
+      const values = split(flagValues);
+      const meanings = split(flagMeanings) || [];
+      const colors = split(flagColors) || [];
+      if (!Array.isArray(values)) return null;
+      
+      return values.map((value, i) => ({
+        value: Number(value),
+        ...(meanings[i] !== undefined && { label: String(meanings[i]).replace(/_/g, ' ') }),
+        ...(colors[i] !== undefined && { color: colors[i] })
+      }));
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Complete NODATA resolution with all format support
+   */
+  static _resolveNodata(options, groupMetadata, valueArrayMetadata, bandsConfig, dimensions, verbose) {
+    const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
+    
+    const totalBands = this._getDimensionSize(valueArrayMetadata.shape, dimensions, 'band');
+    
+    if (options.nodata !== undefined) {
+      log('Using user-provided NODATA configuration');
+      return ZarrTileValidator.validateNodata(options.nodata, bandsConfig, totalBands, 'user input');
+    }
+    
+    // Try group metadata
+    if (groupMetadata.nodata !== undefined) {
+      log('Using NODATA from group metadata');
+      return ZarrTileValidator.validateNodata(groupMetadata.nodata, bandsConfig, totalBands, 'group metadata');
+    }
+    
+    // Try value array metadata
+    if (valueArrayMetadata.fill_value !== undefined && valueArrayMetadata.fill_value !== null) {
+      log('Using fill_value from value array metadata as NODATA');
+      return ZarrTileValidator.validateNodata(valueArrayMetadata.fill_value, bandsConfig, totalBands, 'value array fill_value');
+    }
+    
+    log('No NODATA configuration found, disabling NODATA masking');
+    return { value: null, format: null };
+  }
+  
+  /**
+   * Complete statistics resolution with flexible key support
+   */
+  static async _resolveStatistics(options, resolved, store, valueArrayMetadata, verbose) {
     const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
     
     // Resolve statistics key indices first
@@ -1445,12 +2615,18 @@ class ZarrTileResolver {
       log('Using default statistics key indices');
     }
     
+    const computeStatistics = ZarrTileValidator.validateComputeStatistics(options.compute_statistics, 'user input');
+    
     let statistics = null;
     let statisticsFormat = null;
     let availableStatsKeys = null;
+    let dimensionStatistics = null;
+    
+    let statisticsSource = null;
     
     if (options.statistics) {
       log('Using user-provided statistics');
+      statisticsSource = 'user';
       const result = this._identifyAndValidateStatisticsFormat(options.statistics, resolved.bands, resolved.timestamps, verbose);
       statistics = result.statistics;
       statisticsFormat = result.format;
@@ -1463,14 +2639,17 @@ class ZarrTileResolver {
       log('Attempting to extract statistics from statistics array');
       try {
         const extractedStats = await ZarrTileExtractor.extractStatistics(
-          resolved.url, resolved.path, resolved.arrayNames.statistics, 
-          resolved.zoomLevels, statisticsKeyIndices, verbose
+          store, resolved.path, resolved.arrayNames.statistics, 
+          resolved.zoomLevels, resolved.levelPaths, statisticsKeyIndices, resolved.extraDimensions, verbose
         );
         
         if (extractedStats) {
           log('Successfully extracted statistics from statistics array');
-          statistics = extractedStats.statistics;
+          // Statistics per extra dimension index start at the selected indices
+          dimensionStatistics = extractedStats.dimensionStatistics;
+          statistics = dimensionStatistics?.[this._getDimensionKey(resolved.dimensionIndices)] ?? extractedStats.statistics;
           statisticsFormat = extractedStats.format;
+          statisticsSource = 'array';
           
           // Available keys are from the statistics key indices
           availableStatsKeys = Object.keys(statisticsKeyIndices);
@@ -1479,19 +2658,212 @@ class ZarrTileResolver {
         log(`Could not extract statistics from statistics array: ${error.message}`);
       }
       
+      // Sample the coarsest level in the worker pool when requested
+      if (!statistics && computeStatistics) {
+        log('Computing statistics from the coarsest pyramid level');
+        const computed = await this._computeStatistics(options, resolved, store, valueArrayMetadata, computeStatistics, verbose);
+        statistics = computed.statistics;
+        statisticsFormat = computed.format;
+        statisticsSource = 'computed';
+        availableStatsKeys = computed.keys;
+      }
+      
       // Fallback to dtype limits
       if (!statistics) {
         log('Using dtype limits as fallback statistics');
-        const dtypeLimits = this._getDtypeLimits(valueArrayMetadata.dtype);
-        statistics = { min: dtypeLimits.min, max: dtypeLimits.max };
+        const limits = this._getValueLimits(valueArrayMetadata.dtype, resolved.packing);
+        statistics = { min: limits.min, max: limits.max };
         statisticsFormat = STATISTICS_FORMATS.CASE1;
+        statisticsSource = 'dtype';
         availableStatsKeys = ['min', 'max'];
       }
     }
     
-    return { statistics, statisticsFormat, statisticsKeyIndices, availableStatsKeys };
+    return { statistics, statisticsFormat, statisticsSource, statisticsKeyIndices, availableStatsKeys, computeStatistics, dimensionStatistics };
   }
 
+  /**
+   * Compute min, max, mean, std and percentiles of every dataset band by sampling the
+   * coarsest level in the worker pool, one job per band, at the selected extra dimension
+   * indices. The result is in case 5 format
+   * with per_time, otherwise case 3 from up to COMPUTED_STATISTICS.MAX_TIMESTEPS timesteps.
+   * @private
+   */
+  static async _computeStatistics(options, resolved, store, valueArrayMetadata, computeOptions, verbose) {
+    const bandCount = this._getDimensionSize(valueArrayMetadata.shape, resolved.dimensions, 'band');
+    const bands = Array.from({ length: bandCount }, (_, i) => i);
+    const nodata = ZarrTile._selectNodata(resolved.nodata, resolved.nodataFormat, bands) ?? null;
+    
+    const channels = bands.map(band => ({
+      band,
+      nodata: Array.isArray(nodata) ? nodata[band] : nodata
+    }));
+    
+    return this._sampleStatistics(channels, {
+      store,
+      url: resolved.url,
+      storePath: ZarrTile._getLevelArrayPath(resolved, Math.min(...resolved.zoomLevels), resolved.arrayNames.value),
+      pool: ZarrTile._getWorkerPool(
+        ZarrTileValidator.validateWorkerUrl(options.worker_url, 'user input'),
+        ZarrTileValidator.validateMaxWorkers(options.max_workers, 'user input')
+      ),
+      timeCount: this._getDimensionSize(valueArrayMetadata.shape, resolved.dimensions, 'time'),
+      dimensions: resolved.dimensions,
+      dimensionIndices: resolved.dimensionIndices,
+      dtype: valueArrayMetadata.dtype,
+      packing: resolved.packing,
+      ...computeOptions
+    }, verbose);
+  }
+  
+  /**
+   * Compute statistics of the expression outputs like _computeStatistics, indexed by expression.
+   * Percentile keys used by normalize are always included. Returns null if sampling fails.
+   * @private
+   */
+  static async _computeExpressionStatistics(options, resolved, store, valueArrayMetadata, expressions, verbose) {
+    const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
+    
+    try {
+      return await this._sampleStatistics(
+        ZarrTile._getExpressionChannels(expressions, resolved),
+        {
+          store,
+          url: resolved.url,
+          storePath: ZarrTile._getLevelArrayPath(resolved, Math.min(...resolved.zoomLevels), resolved.arrayNames.value),
+          pool: ZarrTile._getWorkerPool(
+            ZarrTileValidator.validateWorkerUrl(options.worker_url, 'user input'),
+            ZarrTileValidator.validateMaxWorkers(options.max_workers, 'user input')
+          ),
+          timeCount: this._getDimensionSize(valueArrayMetadata.shape, resolved.dimensions, 'time'),
+          dimensions: resolved.dimensions,
+          dimensionIndices: resolved.dimensionIndices,
+          dtype: valueArrayMetadata.dtype,
+          packing: resolved.packing,
+          ...this._getChannelSamplingOptions(options.compute_statistics, options.normalize)
+        },
+        verbose
+      );
+    } catch (error) {
+      log(`Warning: could not sample expression statistics: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Sampling options for expression and composite statistics: compute_statistics or its
+   * defaults, plus the percentiles named by normalize keys such as p5
+   * @private
+   */
+  static _getChannelSamplingOptions(computeStatistics, normalize) {
+    const { per_time, percentiles } = ZarrTileValidator.validateComputeStatistics(computeStatistics, 'user input') ||
+      COMPUTED_STATISTICS.DEFAULTS;
+    
+    const normalizePercentiles = [normalize?.min_key, normalize?.max_key]
+      .filter(key => typeof key === 'string' && /^p\d+(\.\d+)?$/.test(key))
+      .map(key => Number(key.slice(1)))
+      .filter(p => p <= 100);
+    
+    return { per_time, percentiles: [...new Set([...percentiles, ...normalizePercentiles])] };
+  }
+  
+  /**
+   * Sample statistics of channels (dataset bands or expressions) from the coarsest level in the
+   * worker pool, one job per channel. Case 5 format with per_time, otherwise case 3. With a
+   * composite or difference, each channel is reduced over its timesteps into a single sample.
+   * @private
+   * @param {Array<Object>} channels {band, nodata} or {expression, bands, nodata, bandNames}
+   * @param {Object} options
+   * @param {Object} [options.composite] {method, percentile, timeIndices}
+   * @param {Object} [options.difference] {mode, timeIndices: [from, to]}
+   * @return {Promise<Object>} {statistics, format, keys}
+   */
+  static async _sampleStatistics(channels, { store, url, storePath, pool, timeCount, dimensions, dimensionIndices = {}, dtype, packing = null, per_time, percentiles, composite = null, difference = null }, verbose) {
+    const log = verbose ? console.log.bind(console, '[ZarrTile]') : () => {};
+    const reduction = composite || difference;
+    const perTime = per_time && !reduction;
+    
+    // Evenly spaced timesteps when pooling over time
+    const sampledCount = perTime ? timeCount : Math.min(timeCount, COMPUTED_STATISTICS.MAX_TIMESTEPS);
+    const timeIndices = reduction ? reduction.timeIndices : Array.from({ length: sampledCount }, (_, i) =>
+      sampledCount === timeCount ? i : Math.round(i * (timeCount - 1) / Math.max(1, sampledCount - 1)));
+    
+    log(`Sampling ${channels.length} channels of ${storePath} over ${timeIndices.length} timesteps${composite ? ` (${composite.method} composite)` : ''}${difference ? ` (${difference.mode} difference)` : ''}`);
+    
+    const results = await Promise.all(channels.map(channel => ZarrTile._runPoolJob(pool, store, {
+      type: 'sampleStatistics',
+      ...channel,
+      timeIndices,
+      composite: composite && { method: composite.method, percentile: composite.percentile },
+      difference: difference && { mode: difference.mode },
+      perTime,
+      percentiles,
+      dimensions,
+      dimensionIndices,
+      packing,
+      maxPixels: COMPUTED_STATISTICS.MAX_PIXELS,
+      ...ZarrTile._createStoreMessage(store, url, storePath),
+      verbose
+    })));
+    
+    const keys = ['min', 'max', 'mean', 'std', ...percentiles.map(p => `p${p}`)];
+    const fallback = this._getFallbackStatistics(dtype, packing, percentiles);
+    
+    const statistics = results.map(({ statistics: channelStatistics }, channel) => {
+      if (!perTime) {
+        if (!channelStatistics) log(`Warning: no valid pixels sampled for channel ${channel}, using dtype limits`);
+        return channelStatistics || fallback;
+      }
+      
+      // Timesteps without valid pixels take the statistics of the nearest timestep with some
+      const valid = channelStatistics.map((entry, t) => entry ? t : -1).filter(t => t !== -1);
+      if (valid.length === 0) log(`Warning: no valid pixels sampled for channel ${channel}, using dtype limits`);
+      
+      const perKey = Object.fromEntries(keys.map(key => [key, []]));
+      for (let t = 0; t < timeCount; t++) {
+        const nearest = valid.reduce((best, v) => best === -1 || Math.abs(v - t) < Math.abs(best - t) ? v : best, -1);
+        const entry = nearest === -1 ? fallback : channelStatistics[nearest];
+        keys.forEach(key => perKey[key].push(entry[key]));
+      }
+      return perKey;
+    });
+    
+    return {
+      statistics,
+      format: perTime ? STATISTICS_FORMATS.CASE5 : STATISTICS_FORMATS.CASE3,
+      keys
+    };
+  }
+  
+  /**
+   * Global statistics of expression outputs, treating each expression as band of the same index
+   * @private
+   */
+  static _calculateExpressionGlobalStatistics(expressionStatistics, normalize, timestamps, verbose) {
+    return this._calculateGlobalStatistics({
+      statistics: expressionStatistics.statistics,
+      statisticsFormat: expressionStatistics.format,
+      normalize,
+      bands: expressionStatistics.statistics.map((_, i) => i),
+      timestamps
+    }, verbose);
+  }
+  
+  /**
+   * Statistics spanning the value limits, for bands without valid sampled pixels
+   * @private
+   */
+  static _getFallbackStatistics(dtype, packing, percentiles) {
+    const { min, max } = this._getValueLimits(dtype, packing);
+    return {
+      min,
+      max,
+      mean: min / 2 + max / 2,
+      std: 0,
+      ...Object.fromEntries(percentiles.map(p => [`p${p}`, min + (max / 100 - min / 100) * p]))
+    };
+  }
+  
   /**
    * Extract available statistics keys from user's statistics definition
    * @private
@@ -1648,6 +3020,20 @@ class ZarrTileResolver {
     }
   }
   
+  /**
+   * Limits of the values as rendered: the dtype limits, or for packed data the valid range
+   * (or dtype limits) unpacked to physical units
+   */
+  static _getValueLimits(dtype, packing) {
+    const limits = this._getDtypeLimits(dtype);
+    if (!packing) return limits;
+    
+    const [packedMin, packedMax] = packing.validRange ?? [limits.min, limits.max];
+    const ends = [Math.max(packedMin, limits.min), Math.min(packedMax, limits.max)]
+      .map(value => value * packing.scale + packing.offset);
+    return { min: Math.min(...ends), max: Math.max(...ends) };
+  }
+  
   /**
    * Get dtype limits with complete dtype support
    */
@@ -1674,12 +3060,14 @@ class ZarrTileResolver {
 export default class ZarrTile extends DataTile {
   
   /**
-   * Static worker pool for efficient worker reuse
+   * Worker pools shared by sources with the same worker URL and pool size
    * @private
    */
-  static workerPool_ = [];
-  static maxWorkers_ = 16;
+  static workerPools_ = new Map();
   static workerUrl_ = null;
+  static nextSourceId_ = 0;
+  static nextJobId_ = 0;
+  static chunkCache_ = new ZarrChunkCache(DEFAULT_CHUNK_CACHE_SIZE);
   
   /**
    * Get worker URL with caching
@@ -1697,39 +3085,52 @@ export default class ZarrTile extends DataTile {
   }
   
   /**
-   * Get worker from pool or create new one
+   * Get the shared worker pool for a worker URL and pool size
    * @private
    */
-  static async _getWorker() {
-    if (this.workerPool_.length > 0) {
-      return this.workerPool_.pop();
-    }
+  static _getWorkerPool(workerUrl, maxWorkers) {
+    const url = workerUrl || String(this._getWorkerUrl());
+    const key = `${url}|${maxWorkers}`;
     
-    // Create new worker only if pool is empty
-    const workerUrl = this._getWorkerUrl();
-    return new Worker(workerUrl, { type: 'module' });
+    if (!this.workerPools_.has(key)) {
+      this.workerPools_.set(key, new ZarrWorkerPool({ workerUrl: url, maxWorkers }));
+    }
+    return this.workerPools_.get(key);
   }
   
   /**
-   * Return worker to pool or terminate if pool is full
-   * @private
+   * Terminate all workers of all pools and reject running and queued jobs (cleanup method)
    */
-  static _returnWorker(worker) {
-    if (this.workerPool_.length < this.maxWorkers_) {
-      this.workerPool_.push(worker);
-    } else {
-      worker.terminate();
+  static terminateAllWorkers() {
+    for (const pool of this.workerPools_.values()) {
+      pool.terminate();
     }
   }
   
   /**
-   * Terminate all workers in pool (cleanup method)
+   * Set the memory budget of the decoded-chunk cache shared by all ZarrTile sources
+   * @param {number} bytes Budget in bytes, 0 disables the cache
    */
-  static terminateAllWorkers() {
-    while (this.workerPool_.length > 0) {
-      const worker = this.workerPool_.pop();
-      worker.terminate();
+  static setChunkCacheSize(bytes) {
+    if (typeof bytes !== 'number' || !Number.isFinite(bytes) || bytes < 0) {
+      throw new Error(`chunkCacheSize: must be a non-negative finite number of bytes, got ${bytes}`);
     }
+    this.chunkCache_.setMaxSize(bytes);
+  }
+  
+  /**
+   * Get usage of the shared decoded-chunk cache
+   * @return {Object} {maxSize, size, entries, hits, misses}
+   */
+  static getChunkCacheStatus() {
+    return this.chunkCache_.getStatus();
+  }
+  
+  /**
+   * Remove all chunks from the shared decoded-chunk cache
+   */
+  static clearChunkCache() {
+    this.chunkCache_.clear();
   }
   
   /**
@@ -1753,31 +3154,38 @@ export default class ZarrTile extends DataTile {
       const path = options.path;
       
       log('Phase 2: Extracting metadata from Zarr store');
-      const groupMetadata = await ZarrTileExtractor.extractGroupMetadata(url, path, verbose);
+      const consolidated = ZarrTileValidator.validateConsolidated(options.consolidated, 'user input');
+      const storeOptions = ZarrTileValidator.validateStore(options.store, 'user input');
+      const store = await ZarrTileExtractor.openStore(url, path, storeOptions, consolidated, verbose);
+      const groupMetadata = await ZarrTileExtractor.extractGroupMetadata(store, path, verbose);
       
       const valueArrayName = options.value_array_name || DEFAULTS.value_array_name;
+      const pyramid = ZarrTileResolver._resolveZoomAndResolutions(options, groupMetadata, false);
       const valueArrayMetadata = await ZarrTileExtractor.extractValueArrayMetadata(
-        url, path, valueArrayName, 
-        options.zoomLevels || groupMetadata.zoom_levels || groupMetadata.zoomLevels, 
-        verbose
+        store, path, valueArrayName, pyramid.zoomLevels, pyramid.levelPaths, verbose
       );
       
       // Phase 3: Resolve all properties including render configuration
       log('Phase 3: Resolving all properties with render configuration validation');
       const resolvedConfig = await ZarrTileResolver.resolveAllProperties(
-        options, groupMetadata, valueArrayMetadata, verbose
+        options, store, groupMetadata, valueArrayMetadata, verbose
       );
       
       // Phase 4: Create instance
       log('Phase 4: Creating ZarrTile instance with resolved configuration');
       const instance = new ZarrTile(CONSTRUCTOR_TOKEN, {
         ...resolvedConfig,
+        store,
         // Additional OpenLayers options
         transition: options.transition || 0,
-        interpolate: options.interpolate !== undefined ? options.interpolate : true,
+        // Class values are never blended, categorical data is sampled nearest neighbour
+        interpolate: resolvedConfig.categories ? false : (options.interpolate !== undefined ? options.interpolate : true),
         wrapX: options.wrapX !== undefined ? options.wrapX : false
       });
       
+      // Temporal composites and differences are normalized with their sampled statistics
+      await instance.temporalStatisticsReady_;
+      
       log('=== ZarrTile creation completed successfully with render configuration ===');
       return instance;
       
@@ -1871,11 +3279,15 @@ export default class ZarrTile extends DataTile {
       interpolate: config.interpolate,
       transition: config.transition,
       wrapX: config.wrapX,
-      loader: (z, x, y) => this.tileLoader(z, x, y)
+      loader: (z, x, y, options) => this.tileLoader(z, x, y, options)
     });
     
-    // Store complete resolved configuration
-    this.config_ = Object.freeze({ ...config }); // Immutable config
+    // Store complete resolved configuration (the store instance is kept separately)
+    const { store, ...resolvedConfig } = config;
+    this.config_ = Object.freeze(resolvedConfig); // Immutable config
+    this.store_ = store;
+    this.sourceId_ = ZarrTile.nextSourceId_++; // Identifies this source's cached arrays in workers
+    this.workerPool_ = ZarrTile._getWorkerPool(config.workerUrl, config.maxWorkers);
     this.url_ = config.url;
     this.path_ = config.path;
     this.arrayNames_ = config.arrayNames;
@@ -1886,6 +3298,36 @@ export default class ZarrTile extends DataTile {
     this.bands_ = [...config.bands];
     this.timestamps_ = config.timestamps || [];
     
+    // Band math: expressions rendered instead of bands, their statistics and pending sampling
+    this.expressions_ = config.expressions ? [...config.expressions] : null;
+    this.expressionStatistics_ = config.expressionStatistics;
+    this.expressionStatisticsReady_ = null;
+    
+    // Temporal composite or difference, sampled statistics of the current composite window or
+    // difference and of recent ones, keyed by channels and timesteps
+    this.temporalComposite_ = config.temporalComposite ? { ...config.temporalComposite } : null;
+    this.difference_ = config.difference ? { ...config.difference } : null;
+    this.temporalStatistics_ = null;
+    this.temporalStatisticsReady_ = null;
+    this.temporalStatisticsKey_ = null;
+    this.temporalStatisticsCache_ = new Map();
+    
+    // Colormap applied to single channel display tiles and its RGBA lookup table
+    this.colormap_ = config.colormap;
+    this.colormapLUT_ = config.colormap ? createColormapLUT(config.colormap) : null;
+    
+    // Categorical data: class definitions and the class values currently hidden
+    this.categories_ = config.categories;
+    this.hiddenCategories_ = new Set();
+    
+    // Extra dimensions: selected index of each, and the dataset band statistics at other
+    // indices than configured, of recent indices too, keyed by the indices
+    this.dimensionIndices_ = { ...config.dimensionIndices };
+    this.dimensionStatistics_ = null;
+    this.dimensionStatisticsReady_ = null;
+    this.dimensionStatisticsKey_ = ZarrTileResolver._getDimensionKey(config.dimensionIndices);
+    this.dimensionStatisticsCache_ = new Map();
+    
     // Resolved configuration cache for current time/band combination
     this.resolvedCache_ = {
       timeIndex: -1,
@@ -1897,12 +3339,41 @@ export default class ZarrTile extends DataTile {
       valid: false
     };
     
+    // Tile generation, bumped with every cache invalidation; its controller aborts the
+    // tiles requested for the previous state
+    this.tileGeneration_ = { id: 0, controller: new AbortController() };
+    
+    // Prefetch state: visible tiles, navigation direction and pending jobs
+    this.prefetchState_ = {
+      tiles: new Map(),       // 'z/x/y' -> [z, x, y], most recent last
+      mapKey: null,           // postrender listener of the map given to setPrefetchMap()
+      rangeKey: null,         // Tile range of the last frame
+      direction: 1,           // +1 forward in time, -1 backward
+      timeIndex: 0,
+      queue: [],
+      runners: 0,             // Prefetch loops currently working through the queue
+      controller: new AbortController(),  // Aborts running prefetch jobs
+      timer: null
+    };
+    
+    // Playback state (null when not playing) and tiles being loaded by tileLoader, for waitForTiles;
+    // counted there because OpenLayers sends no end event for tiles released while loading
+    this.playback_ = null;
+    this.loadingTiles_ = 0;
+    
     // Set up change listeners for cache invalidation and tile refresh
     this.on('propertychange', (event) => {
-      if (event.key === 'time' || event.key === 'bands') {
+      if (['time', 'bands', 'expressions', 'temporalComposite', 'difference'].includes(event.key) ||
+          event.key.startsWith('dimension:')) {
+        this._onPrefetchStateChange(event.key);
+        this._updateTemporalStatistics();
         this._invalidateCache('Property change: ' + event.key);
         this._log(`Property ${event.key} changed, refreshing tiles`);
         this.refresh(); // Force OpenLayers to reload tiles
+      } else if (event.key === 'colormap' || event.key === 'hiddenCategories') {
+        // Only the colors change, the prefetched chunks stay useful
+        this._invalidateCache('Property change: ' + event.key);
+        this.refresh();
       }
     });
     
@@ -1911,6 +3382,15 @@ export default class ZarrTile extends DataTile {
       this.set('time', this.timestamps_[0]);
     }
     this.set('bands', [...this.bands_]);
+    this.set('expressions', this.expressions_ ? [...this.expressions_] : null);
+    this.set('temporalComposite', this.temporalComposite_ ? { ...this.temporalComposite_ } : null);
+    this.set('difference', this.difference_ ? { ...this.difference_ } : null);
+    this.set('colormap', this.getColormap());
+    this.set('hiddenCategories', []);
+    for (const [name, index] of Object.entries(this.dimensionIndices_)) {
+      this.set(`dimension:${name}`, index);
+    }
+    this._updateTemporalStatistics();
     
     this._log('ZarrTile instance initialized with', Object.keys(config).length, 'configuration properties');
     this._log('Render configuration:', {
@@ -1955,20 +3435,44 @@ export default class ZarrTile extends DataTile {
    * @private
    */
   _resolveCurrentNodata() {
-    const nodata = this.config_.nodata;
+    // Expression outputs, composites and differences mark pixels with a NODATA input, or
+    // without a finite result, as NaN
+    if (this.expressions_ || this.temporalComposite_ || this.difference_) {
+      return new Array(this._getChannelCount()).fill(NaN);
+    }
+    return this._resolveNodataForBands(this.bands_);
+  }
+  
+  /**
+   * Resolve NODATA values for any band selection, in the same format as _resolveCurrentNodata
+   * @private
+   */
+  _resolveNodataForBands(bands) {
+    const nodata = ZarrTile._selectNodata(this.config_.nodata, this.config_.nodataFormat, bands);
+    if (nodata === undefined) {
+      this._log('Warning: Unknown NODATA format:', this.config_.nodataFormat);
+      return null;
+    }
+    return nodata;
+  }
+  
+  /**
+   * Pick the NODATA values of a band selection from resolved NODATA of any format
+   * @private
+   * @return {Array|null|undefined} Values per band, null without NODATA, undefined for an unknown format
+   */
+  static _selectNodata(nodata, format, bands) {
     if (!nodata) return null;
     
-    const format = this.config_.nodataFormat;
-    
     switch (format) {
       case NODATA_FORMATS.GLOBAL:
         // Single value for all bands
-        return new Array(this.bands_.length).fill(nodata);
+        return new Array(bands.length).fill(nodata);
         
       case NODATA_FORMATS.PER_BAND_COMPOSITION:
         // Array matching current band composition - use band indices as keys
         // For fixed compositions (1 or 3 bands), map band indices to proper nodata indices
-        return this.bands_.map((bandIndex, i) => {
+        return bands.map((bandIndex, i) => {
           // Check if we have stored NODATA using band index as key
           if (typeof nodata === 'object' && !Array.isArray(nodata)) {
             return nodata[bandIndex] || null;
@@ -1979,13 +3483,12 @@ export default class ZarrTile extends DataTile {
         
       case NODATA_FORMATS.PER_DATASET_BAND:
         // Array for all dataset bands - extract for current bands using band indices
-        return this.bands_.map(bandIndex => 
+        return bands.map(bandIndex => 
           bandIndex < nodata.length ? nodata[bandIndex] : null
         );
         
       default:
-        this._log('Warning: Unknown NODATA format:', format);
-        return null;
+        return undefined;
     }
   }
   
@@ -1994,24 +3497,23 @@ export default class ZarrTile extends DataTile {
    * @private
    */
   _resolveCurrentStatistics() {
-    const statistics = this.config_.statistics;
+    const { statistics, format, bands } = this._getStatisticsContext();
     if (!statistics) return null;
     
-    const format = this.config_.statisticsFormat;
     const timeIndex = this.currentTimeIndex_;
     const resolvedStats = [];
     
     switch (format) {
       case STATISTICS_FORMATS.CASE1:
         // {min: value, max: value} - global for all bands and times
-        for (let i = 0; i < this.bands_.length; i++) {
+        for (let i = 0; i < bands.length; i++) {
           resolvedStats.push({ ...statistics });
         }
         break;
         
       case STATISTICS_FORMATS.CASE2:
         // [{min: value}...] - per band composition, global time
-        for (let i = 0; i < this.bands_.length; i++) {
+        for (let i = 0; i < bands.length; i++) {
           if (i < statistics.length) {
             resolvedStats.push({ ...statistics[i] });
           } else {
@@ -2023,8 +3525,8 @@ export default class ZarrTile extends DataTile {
         
       case STATISTICS_FORMATS.CASE3:
         // [{min: value}...] - per dataset band, global time
-        for (let i = 0; i < this.bands_.length; i++) {
-          const bandIndex = this.bands_[i];
+        for (let i = 0; i < bands.length; i++) {
+          const bandIndex = bands[i];
           if (bandIndex < statistics.length) {
             resolvedStats.push({ ...statistics[bandIndex] });
           } else {
@@ -2036,7 +3538,7 @@ export default class ZarrTile extends DataTile {
         
       case STATISTICS_FORMATS.CASE4:
         // [{min: [value]}...] - per band composition, per time
-        for (let i = 0; i < this.bands_.length; i++) {
+        for (let i = 0; i < bands.length; i++) {
           if (i < statistics.length) {
             const bandStats = statistics[i];
             const resolvedBandStats = {};
@@ -2060,8 +3562,8 @@ export default class ZarrTile extends DataTile {
         
       case STATISTICS_FORMATS.CASE5:
         // [{min: [value]}...] - per dataset band, per time
-        for (let i = 0; i < this.bands_.length; i++) {
-          const bandIndex = this.bands_[i];
+        for (let i = 0; i < bands.length; i++) {
+          const bandIndex = bands[i];
           if (bandIndex < statistics.length) {
             const bandStats = statistics[bandIndex];
             const resolvedBandStats = {};
@@ -2099,9 +3601,28 @@ export default class ZarrTile extends DataTile {
     const normalize = this.config_.normalize;
     if (!normalize) return null;
     
+    const normalization = this._resolveNormalizationRanges(normalize);
+    
+    // Differences are normalized symmetrically around zero, so no change is the middle of the range
+    if (this.difference_) {
+      return normalization.map(({ min, max }) => {
+        const extent = Math.max(Math.abs(min), Math.abs(max));
+        return { min: -extent, max: extent };
+      });
+    }
+    
+    return normalization;
+  }
+  
+  /**
+   * Resolve the normalization range of each channel for the normalization strategy
+   * @private
+   */
+  _resolveNormalizationRanges(normalize) {
     const { min_key, max_key, strategy } = normalize;
-    const globalStats = this.config_.globalStatistics;
-    const dtypeLimits = ZarrTileResolver._getDtypeLimits(this.config_.dtype);
+    const globalStats = this._getStatisticsContext().globalStatistics;
+    const channelCount = this._getChannelCount();
+    const dtypeLimits = ZarrTileResolver._getValueLimits(this.config_.dtype, this.config_.packing);
     const normalization = [];
     
     switch (strategy) {
@@ -2109,7 +3630,7 @@ export default class ZarrTile extends DataTile {
         // Use global min/max for all bands
         const globalMin = globalStats?.global?.min ?? dtypeLimits.min;
         const globalMax = globalStats?.global?.max ?? dtypeLimits.max;
-        for (let i = 0; i < this.bands_.length; i++) {
+        for (let i = 0; i < channelCount; i++) {
           normalization.push({ min: globalMin, max: globalMax });
         }
         break;
@@ -2119,14 +3640,14 @@ export default class ZarrTile extends DataTile {
         const timeStats = globalStats?.globalBandPerTime?.[this.currentTimeIndex_];
         const timeMin = timeStats?.min ?? dtypeLimits.min;
         const timeMax = timeStats?.max ?? dtypeLimits.max;
-        for (let i = 0; i < this.bands_.length; i++) {
+        for (let i = 0; i < channelCount; i++) {
           normalization.push({ min: timeMin, max: timeMax });
         }
         break;
         
       case NORMALIZATION_STRATEGIES.PER_BAND_GLOBAL_TIME:
         // Use per-band global across all times
-        for (let i = 0; i < this.bands_.length; i++) {
+        for (let i = 0; i < channelCount; i++) {
           const bandStats = globalStats?.perBandGlobalTime?.[i];
           normalization.push({
             min: bandStats?.min ?? dtypeLimits.min,
@@ -2141,11 +3662,11 @@ export default class ZarrTile extends DataTile {
         const currentStats = this.resolvedCache_.statistics;
         if (!currentStats) {
           // Fallback to dtype limits
-          for (let i = 0; i < this.bands_.length; i++) {
+          for (let i = 0; i < channelCount; i++) {
             normalization.push({ min: dtypeLimits.min, max: dtypeLimits.max });
           }
         } else {
-          for (let i = 0; i < this.bands_.length; i++) {
+          for (let i = 0; i < channelCount; i++) {
             const stats = currentStats[i];
             if (!stats) {
               normalization.push({ min: dtypeLimits.min, max: dtypeLimits.max });
@@ -2189,7 +3710,7 @@ export default class ZarrTile extends DataTile {
       
       const stretchParams = [];
       
-      for (let i = 0; i < this.bands_.length; i++) {
+      for (let i = 0; i < this._getChannelCount(); i++) {
         const stats = currentStats[i];
         if (!stats) {
           this._log('Warning: No statistics for band', i, 'using defaults');
@@ -2213,423 +3734,2179 @@ export default class ZarrTile extends DataTile {
   }
   
   /**
-   * Invalidate resolved cache
+   * Get the number of rendered channels: one per expression, or per band without expressions
    * @private
    */
-  _invalidateCache(reason) {
-    this.resolvedCache_.valid = false;
-    this._log('Cache invalidated:', reason);
+  _getChannelCount() {
+    return (this.expressions_ || this.bands_).length;
   }
   
-  // ===== TILE LOADING IMPLEMENTATION =====
-  
   /**
-   * Complete tile loader implementation with enhanced render configuration support and worker pooling
+   * Get the statistics describing the rendered channels: the sampled statistics of a temporal
+   * composite or difference (indexed by channel), the configured statistics for raw bands, or with
+   * expressions either composition statistics given by the user or the expression outputs'
+   * sampled statistics (indexed by expression)
+   * @private
+   * @return {Object} {statistics, format, bands, globalStatistics}, bands indexing the statistics
    */
-  async tileLoader(z, x, y) {
-    if (!this.isZoomSupported(z)) {
-      this._log(`Zoom level ${z} not supported, skipping tile (${z}, ${x}, ${y})`);
-      return undefined;
+  _getStatisticsContext() {
+    // Without sampled statistics, a composite or difference is normalized like a single timestep
+    if ((this.temporalComposite_ || this.difference_) && this.temporalStatistics_) {
+      const { statistics, format, globalStatistics } = this.temporalStatistics_;
+      return { statistics, format, bands: statistics.map((_, i) => i), globalStatistics };
     }
     
-    // Ensure resolved cache is up to date
-    this._updateResolvedCache();
-    
-    const tileGrid = this.getTileGrid();
-    const tileSize = tileGrid.getTileSize(z);
-    const tileRange = tileGrid.getFullTileRange(z);
+    if (!this.expressions_) {
+      // At other extra dimension indices than configured, the statistics there if they differ
+      const dimensionStatistics = this.dimensionStatistics_;
+      return {
+        statistics: dimensionStatistics?.statistics ?? this.config_.statistics,
+        format: dimensionStatistics?.format ?? this.config_.statisticsFormat,
+        bands: this.bands_,
+        globalStatistics: dimensionStatistics ? dimensionStatistics.globalStatistics : this.config_.globalStatistics
+      };
+    }
     
-    this._log(`Loading tile (${z}, ${x}, ${y}) with render configuration`);
+    const bands = this.expressions_.map((_, i) => i);
+    if (ZarrTile._statisticsDescribeComposition(this.config_)) {
+      return {
+        statistics: this.config_.statistics,
+        format: this.config_.statisticsFormat,
+        bands,
+        globalStatistics: this.config_.globalStatistics
+      };
+    }
     
-    return new Promise(async (resolve, reject) => {
-      let worker = null;
-      
-      try {
-        // Get worker from pool
-        worker = await ZarrTile._getWorker();
-        
-        worker.onmessage = (e) => {
-          // Return worker to pool instead of terminating
-          ZarrTile._returnWorker(worker);
-          
-          if (e.data.error) {
-            this._log('Worker error for tile', z, x, y, ':', e.data.error);
-            reject(new Error(e.data.error));
-          } else {
-            this._log('Successfully loaded tile', z, x, y);
-            resolve(e.data.tileData);
-          }
-        };
-        
-        worker.onerror = (error) => {
-          // Return worker to pool even on error
-          ZarrTile._returnWorker(worker);
-          this._log('Worker error for tile', z, x, y, ':', error.message);
-          reject(error);
-        };
-        
-        // Send completely resolved, simple parameters to worker with render configuration
-        const message = {
-          // Tile coordinates
-          z, x, y, tileSize, tileRange,
-          
-          // Band and time configuration
-          bands: [...this.bands_],
-          timeIndex: this.currentTimeIndex_,
-          
-          // Pre-resolved configurations (simple arrays and objects only!)
-          nodata: this.resolvedCache_.nodata,           // [val1, val2, val3] or null
-          normalization: this.resolvedCache_.normalization, // [{min, max}, {min, max}] or null
-          
-          // Render configuration (NEW)
-          renderType: this.config_.renderType,
-          nodataStrategy: this.config_.nodataStrategy,
-          nodataReplaceValue: this.config_.nodataReplaceValue,
-          maskNodata: this.config_.maskNodata,
-          displayRenderParams: this.resolvedCache_.displayRenderParams, // Display render parameters
-          
-          // Storage paths
-          storeUrl: this.url_,
-          storePath: this._getArrayPath(z, this.arrayNames_.value),
-          
-          // Simple flags
-          verbose: this.verbose_
-        };
-        
-        this._log('Sending resolved message to worker with render configuration:', {
-          ...message,
-          tileData: '[ArrayBuffer data would be here]' // Don't log large data
-        });
-        
-        worker.postMessage(message);
-        
-      } catch (error) {
-        // If worker acquisition failed, still need to handle cleanup
-        if (worker) {
-          ZarrTile._returnWorker(worker);
-        }
-        this._log('Failed to acquire worker for tile', z, x, y, ':', error.message);
-        reject(error);
-      }
-    });
+    const expressionStatistics = this.expressionStatistics_;
+    return {
+      statistics: expressionStatistics?.statistics ?? null,
+      format: expressionStatistics?.format ?? null,
+      bands,
+      globalStatistics: expressionStatistics?.globalStatistics ?? null
+    };
   }
   
-  // ===== UTILITY METHODS =====
-  
   /**
-   * Check if zoom level is supported
+   * Check whether statistics were given by the user per band composition (cases 1, 2 and 4),
+   * so they describe expression outputs as well
+   * @private
    */
-  isZoomSupported(z) {
-    return this.config_.zoomLevels.includes(z);
+  static _statisticsDescribeComposition({ statisticsSource, statisticsFormat }) {
+    return statisticsSource === 'user' && [
+      STATISTICS_FORMATS.CASE1, STATISTICS_FORMATS.CASE2, STATISTICS_FORMATS.CASE4
+    ].includes(statisticsFormat);
   }
   
   /**
-   * Get array path for zoom level and array name
+   * Describe expressions for the worker: source, input dataset bands and their NODATA
    * @private
    */
-  _getArrayPath(z, arrayName) {
-    return `${this.path_}/${z}/${arrayName}`.replace(/\/+/g, '/');
+  static _getExpressionChannels(expressions, { bandNames, nodata, nodataFormat }) {
+    return expressions.map(source => {
+      const { bands } = new ZarrExpression(source, { bandNames });
+      const bandNodata = ZarrTile._selectNodata(nodata, nodataFormat, bands) ?? null;
+      return { expression: source, bands, nodata: bandNodata, bandNames };
+    });
   }
   
   /**
-   * Normalize URL by removing trailing slashes
+   * Invalidate resolved cache
    * @private
    */
-  static _normalizeUrl(url) {
-    return url.replace(/\/+$/, '');
-  }
+  _invalidateCache(reason) {
+    this.resolvedCache_.valid = false;
+    this._log('Cache invalidated:', reason);
+    
+    // Tiles still loading for the previous state are obsolete
+    this.tileGeneration_.controller.abort();
+    this.tileGeneration_ = { id: this.tileGeneration_.id + 1, controller: new AbortController() };
+  }
+  
+  // ===== TILE LOADING IMPLEMENTATION =====
+  
+  /**
+   * Complete tile loader implementation with enhanced render configuration support and worker pooling
+   * @param {Object} [options] OpenLayers loader options; the tile is aborted with options.signal
+   */
+  async tileLoader(z, x, y, options = {}) {
+    if (!this.isZoomSupported(z)) {
+      this._log(`Zoom level ${z} not supported, skipping tile (${z}, ${x}, ${y})`);
+      return undefined;
+    }
+    
+    this.loadingTiles_++;
+    try {
+      return await this._loadTile(z, x, y, options);
+    } finally {
+      // Aborted and failed tiles are done as well
+      this.loadingTiles_--;
+      if (this.loadingTiles_ === 0) {
+        setTimeout(() => this._onPlaybackTilesLoaded()); // Once OpenLayers has stored the tile
+      }
+    }
+  }
+  
+  /**
+   * Load a tile of a supported zoom level
+   * @private
+   */
+  async _loadTile(z, x, y, options) {
+    // Expression outputs, composites and differences are normalized with their statistics, wait until they are sampled
+    if (this.expressionStatisticsReady_) {
+      await this.expressionStatisticsReady_;
+    }
+    if (this.temporalStatisticsReady_) {
+      await this.temporalStatisticsReady_;
+    }
+    if (this.dimensionStatisticsReady_) {
+      await this.dimensionStatisticsReady_;
+    }
+    
+    // Ensure resolved cache is up to date
+    this._updateResolvedCache();
+    
+    // Remember the tile so neighbouring timesteps can be prefetched for it
+    this._trackTileForPrefetch(z, x, y);
+    
+    this._log(`Loading tile (${z}, ${x}, ${y}) with render configuration`);
+    
+    const message = this._createTileMessage(z, x, y, this.currentTimeIndex_);
+    
+    // Abort when OpenLayers drops the tile or the state it was requested for changes
+    const generation = this.tileGeneration_;
+    const signal = ZarrTile._anySignal([options.signal, generation.controller.signal]);
+    
+    this._log('Sending resolved message to worker with render configuration:', {
+      ...message,
+      tileData: '[ArrayBuffer data would be here]' // Don't log large data
+    });
+    
+    try {
+      const result = await this._runWorkerJob(message, signal);
+      this._log('Successfully loaded tile', z, x, y);
+      return result.tileData;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this._log(`Tile (${z}, ${x}, ${y}) aborted (generation ${generation.id})`);
+      } else {
+        this._log('Worker error for tile', z, x, y, ':', error.message);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Build the worker message for a tile at a time index
+   * @private
+   */
+  _createTileMessage(z, x, y, timeIndex) {
+    const tileGrid = this.getTileGrid();
+    const storePath = this._getArrayPath(z, this.arrayNames_.value);
+    
+    // Send completely resolved, simple parameters to worker with render configuration
+    return {
+      // Tile coordinates
+      z, x, y,
+      tileSize: tileGrid.getTileSize(z),
+      tileRange: tileGrid.getFullTileRange(z),
+      
+      // Band and time configuration, selected along the value array dimensions
+      bands: [...this.bands_],
+      timeIndex,
+      dimensions: this.config_.dimensions,
+      dimensionIndices: { ...this.dimensionIndices_ },
+      
+      // Band math, rendered instead of bands: [{expression, bands, nodata, bandNames}] or null
+      expressions: this.expressions_ ? ZarrTile._getExpressionChannels(this.expressions_, this.config_) : null,
+      
+      // Temporal composite: {method, percentile, timeIndices, nodata} or null, nodata of the bands
+      // it reduces (expression outputs are NaN where they have no value)
+      composite: this.temporalComposite_ ? {
+        ...this._getCompositeWindow(timeIndex),
+        nodata: this.expressions_ ? null : this._resolveNodataForBands(this.bands_)
+      } : null,
+      
+      // Difference between two timesteps: {mode, timeIndices: [from, to], nodata} or null
+      difference: this.difference_ ? {
+        ...this._getDifferenceTimesteps(),
+        nodata: this.expressions_ ? null : this._resolveNodataForBands(this.bands_)
+      } : null,
+      
+      // CF packing {scale, offset, validRange} applied as bands are read, or null
+      packing: this.config_.packing,
+      
+      // Pre-resolved configurations (simple arrays and objects only!)
+      nodata: this.resolvedCache_.nodata,           // [val1, val2, val3] or null
+      normalization: this.resolvedCache_.normalization, // [{min, max}, {min, max}] or null
+      
+      // Render configuration (NEW)
+      renderType: this.config_.renderType,
+      nodataStrategy: this.config_.nodataStrategy,
+      nodataReplaceValue: this.config_.nodataReplaceValue,
+      maskNodata: this.config_.maskNodata,
+      displayRenderParams: this.resolvedCache_.displayRenderParams, // Display render parameters
+      
+      // RGBA lookup table applied after normalization, for single channel display tiles only
+      colormap: this._getChannelCount() === 1 ? this.colormapLUT_ : null,
+      
+      // Class colors of single band categorical display tiles: {values, colors} or null
+      categories: this._getCategoryColors(),
+      
+      // Storage paths
+      ...this._createStoreMessage(storePath),
+      
+      // Simple flags
+      verbose: this.verbose_
+    };
+  }
+  
+  /**
+   * Class values and their RGBA colors (transparent while hidden) for the worker
+   * @private
+   */
+  _getCategoryColors() {
+    if (!this.categories_ || this.config_.renderType !== RENDER_TYPES.DISPLAY || this._getChannelCount() !== 1) {
+      return null;
+    }
+    
+    const colors = new Uint8ClampedArray(this.categories_.length * 4);
+    this.categories_.forEach(({ value, color }, i) => {
+      if (!this.hiddenCategories_.has(value)) colors.set(color, i * 4);
+    });
+    return { values: this.categories_.map(({ value }) => value), colors };
+  }
+  
+  /**
+   * Build the worker message fields that open the array at a store path
+   * @private
+   */
+  _createStoreMessage(storePath) {
+    return ZarrTile._createStoreMessage(this.store_, this.url_, storePath, this.sourceId_);
+  }
+  
+  /**
+   * Build the worker message fields that open the array at a store path of any store,
+   * also used while resolving the configuration, before a source exists
+   * @private
+   */
+  static _createStoreMessage(store, storeUrl, storePath, sourceId = null) {
+    return {
+      storeUrl,
+      zarrFormat: store.zarrFormat,
+      storePath,
+      storeMetadata: store.getConsolidatedMetadata(storePath), // Array metadata so the worker skips metadata requests
+      storeOptions: {
+        ...store.getRequestOptions(),          // Headers, credentials and query string
+        proxyFetch: store.hasCustomFetch(),    // Functions cannot be cloned, so requests come back here
+        proxyAuthorize: store.hasAuthHooks()   // Same for signRequest/getToken, run per request
+      },
+      
+      // Worker array cache key
+      sourceId,
+      
+      // Decoded chunks are looked up in the shared cache before fetching
+      chunkCache: ZarrTile.chunkCache_.maxSize > 0
+    };
+  }
+  
+  /**
+   * Run a message on a pooled worker, answering its main-thread requests until it replies.
+   * When the signal aborts, the job is dropped if it is still queued, otherwise the worker
+   * cancels its in-flight fetches; the promise rejects with an AbortError right away.
+   * @private
+   * @return {Promise<Object>} The worker's reply
+   */
+  _runWorkerJob(message, signal = null, priority = JOB_PRIORITY.TILE) {
+    return ZarrTile._runPoolJob(this.workerPool_, this.store_, message, signal, priority);
+  }
+  
+  /**
+   * Run a message on a worker of any pool, answering its requests with the given store
+   * @private
+   */
+  static async _runPoolJob(pool, store, message, signal = null, priority = JOB_PRIORITY.TILE) {
+    const worker = await pool.acquire({ priority, signal });
+    
+    if (signal?.aborted) {
+      pool.release(worker);
+      signal.throwIfAborted();
+    }
+    
+    const jobId = ZarrTile.nextJobId_++;
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        worker.postMessage({ type: 'abort', jobId });
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      
+      // Fails the job when the pool is terminated while it runs
+      pool.track(worker, (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      });
+      
+      worker.onmessage = (e) => {
+        // Requests the worker routes through the custom fetch function, signing hooks or chunk cache
+        if (e.data.type === 'fetch' || e.data.type === 'authorize' || e.data.type === 'chunkGet') {
+          ZarrTile._handleWorkerRequest(store, worker, e.data);
+          return;
+        }
+        
+        // Chunks the worker decoded, shared with all workers through the cache
+        if (e.data.type === 'chunkPut') {
+          ZarrTile.chunkCache_.set(e.data.key, e.data.buffer);
+          return;
+        }
+        
+        // Return worker to pool instead of terminating
+        signal?.removeEventListener('abort', onAbort);
+        pool.release(worker);
+        
+        if (e.data.error) {
+          reject(new Error(e.data.error));
+        } else {
+          resolve(e.data);
+        }
+      };
+      
+      worker.onerror = (error) => {
+        // A failed worker, e.g. one whose module did not load, would fail every later job
+        signal?.removeEventListener('abort', onAbort);
+        pool.discard(worker);
+        reject(error);
+      };
+      
+      worker.postMessage({ ...message, jobId });
+    });
+  }
+  
+  /**
+   * Create a signal that aborts when any of the given signals aborts
+   * @private
+   */
+  static _anySignal(signals) {
+    const controller = new AbortController();
+    
+    for (const signal of signals) {
+      if (!signal) continue;
+      if (signal.aborted) {
+        controller.abort(signal.reason);
+        break;
+      }
+      signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+    
+    return controller.signal;
+  }
+  
+  /**
+   * Answer a worker request that needs the main thread: 'fetch' runs the custom fetch
+   * function, 'authorize' runs the signing hooks, 'chunkGet' reads the shared chunk cache
+   * @private
+   */
+  static async _handleWorkerRequest(store, worker, { type, id, url, init, refresh, key }) {
+    try {
+      if (type === 'chunkGet') {
+        worker.postMessage({ type: 'result', id, result: ZarrTile.chunkCache_.get(key) });
+        return;
+      }
+      
+      if (type === 'authorize') {
+        const result = await store.authorize(url, refresh);
+        worker.postMessage({ type: 'result', id, result });
+        return;
+      }
+      
+      const response = await store.fetch(url, init);
+      const buffer = init.method === 'HEAD' ? null : await response.arrayBuffer();
+      worker.postMessage({
+        type: 'result',
+        id,
+        result: { status: response.status, statusText: response.statusText, buffer }
+      }, buffer ? [buffer] : []);
+    } catch (error) {
+      worker.postMessage({ type: 'result', id, error: error.message });
+    }
+  }
+  
+  /**
+   * Abort the tile jobs of this source and clean up the arrays workers keep open for it
+   * @protected
+   */
+  disposeInternal() {
+    this._clearPlaybackTimer();
+    this.playback_ = null;
+    this._cancelPrefetch('Source disposed');
+    unByKey(this.prefetchState_.mapKey);
+    this.tileGeneration_.controller.abort();
+    this.workerPool_.broadcast({ type: 'dispose', sourceId: this.sourceId_ });
+    super.disposeInternal();
+  }
+  
+  // ===== PREFETCHING =====
+  
+  /**
+   * Follow the view of a map for prefetching: the visible tiles are the tile range of its
+   * frame extent. Without a map, the most recently requested tiles stand in for them.
+   * @param {import('ol/Map.js').default|null} map Map showing this source, null to stop following it
+   */
+  setPrefetchMap(map) {
+    const state = this.prefetchState_;
+    unByKey(state.mapKey);
+    state.mapKey = null;
+    state.rangeKey = null;
+    
+    if (map) {
+      state.mapKey = map.on('postrender', (event) => this._onPrefetchFrame(event.frameState));
+    }
+  }
+  
+  /**
+   * Take the visible tiles from a rendered frame; a different tile range means the viewport
+   * changed
+   * @private
+   */
+  _onPrefetchFrame(frameState) {
+    if (!this.config_.prefetch || !frameState) return;
+    
+    const tileGrid = this.getTileGrid();
+    const z = tileGrid.getZForResolution(frameState.viewState.resolution, this.zDirection);
+    if (!this.isZoomSupported(z)) return;
+    
+    const range = tileGrid.getTileRangeForExtentAndZ(frameState.extent, z);
+    const fullRange = tileGrid.getFullTileRange(z);
+    const minX = Math.max(range.minX, fullRange?.minX ?? -Infinity);
+    const maxX = Math.min(range.maxX, fullRange?.maxX ?? Infinity);
+    const minY = Math.max(range.minY, fullRange?.minY ?? -Infinity);
+    const maxY = Math.min(range.maxY, fullRange?.maxY ?? Infinity);
+    
+    const state = this.prefetchState_;
+    const rangeKey = `${z}/${minX}-${maxX}/${minY}-${maxY}`;
+    if (rangeKey === state.rangeKey) return;
+    state.rangeKey = rangeKey;
+    
+    state.tiles = new Map();
+    for (let x = minX; x <= maxX && state.tiles.size < PREFETCH.MAX_TILES; x++) {
+      for (let y = minY; y <= maxY && state.tiles.size < PREFETCH.MAX_TILES; y++) {
+        state.tiles.set(`${z}/${x}/${y}`, [z, x, y]);
+      }
+    }
+    
+    this._onPrefetchViewportChange();
+  }
+  
+  /**
+   * Record a requested tile as part of the visible tiles when no map is followed; a tile not
+   * seen before means the viewport changed
+   * @private
+   */
+  _trackTileForPrefetch(z, x, y) {
+    if (!this.config_.prefetch || this.prefetchState_.mapKey) return;
+    
+    const state = this.prefetchState_;
+    const key = `${z}/${x}/${y}`;
+    
+    if (state.tiles.has(key)) {
+      state.tiles.delete(key);
+      state.tiles.set(key, [z, x, y]);
+      return;
+    }
+    
+    // Tiles of other zoom levels are no longer visible
+    for (const [tileKey, [tileZ]] of state.tiles) {
+      if (tileZ !== z) state.tiles.delete(tileKey);
+    }
+    state.tiles.set(key, [z, x, y]);
+    if (state.tiles.size > PREFETCH.MAX_TILES) {
+      state.tiles.delete(state.tiles.keys().next().value);
+    }
+    
+    this._onPrefetchViewportChange();
+  }
+  
+  /**
+   * Cancel prefetching for the previous viewport and restart it once the viewport settles;
+   * further changes before then only push the restart back
+   * @private
+   */
+  _onPrefetchViewportChange() {
+    if (this.prefetchState_.timer === null) {
+      this._cancelPrefetch('Viewport changed');
+    } else {
+      this.prefetchState_.queue = [];
+    }
+    this._schedulePrefetch();
+  }
+  
+  /**
+   * Update navigation direction on time changes and restart prefetching around the new
+   * time; band changes restart it for the new bands
+   * @private
+   */
+  _onPrefetchStateChange(key) {
+    if (!this.config_.prefetch) return;
+    
+    const state = this.prefetchState_;
+    if (key === 'time' && this.currentTimeIndex_ !== state.timeIndex) {
+      const direction = this.currentTimeIndex_ > state.timeIndex ? 1 : -1;
+      // Running jobs in the same direction fetch timesteps that are about to be shown
+      if (direction !== state.direction) {
+        this._cancelPrefetch('Direction changed');
+      } else {
+        this._cancelPrefetch('Time changed', false);
+      }
+      state.direction = direction;
+      state.timeIndex = this.currentTimeIndex_;
+    } else {
+      this._cancelPrefetch('Band or dimension selection changed');
+    }
+    
+    this._schedulePrefetch();
+  }
+  
+  /**
+   * Drop queued prefetch jobs and abort running ones, unless they may still be useful
+   * @private
+   */
+  _cancelPrefetch(reason, abortRunning = true) {
+    const state = this.prefetchState_;
+    if (abortRunning) {
+      state.controller.abort();
+      state.controller = new AbortController();
+    }
+    if (state.timer !== null) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+    
+    if (state.queue.length > 0) {
+      this._log(`Prefetch cancelled (${reason}), ${state.queue.length} jobs dropped`);
+    }
+    state.queue = [];
+  }
+  
+  /**
+   * Start prefetching once tile requests have been idle for a short while, so prefetch
+   * jobs never compete with the visible tiles
+   * @private
+   */
+  _schedulePrefetch() {
+    const state = this.prefetchState_;
+    if (state.timer !== null) {
+      clearTimeout(state.timer);
+    }
+    
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this._startPrefetch();
+    }, PREFETCH.DELAY);
+  }
+  
+  /**
+   * Get the time indices to prefetch, nearest first, alternating ahead and behind
+   * in the navigation direction
+   * @private
+   */
+  _getPrefetchTimeIndices() {
+    // Fixed composite windows and differences look the same at every time index
+    if (Number.isInteger(this.temporalComposite_?.start) || this.difference_) return [];
+    
+    const { ahead, behind } = this.config_.prefetch;
+    const { direction } = this.prefetchState_;
+    const timeCount = this._getDimensionSize('time');
+    const indices = [];
+    
+    for (let step = 1; step <= Math.max(ahead, behind); step++) {
+      if (step <= ahead) indices.push(this.currentTimeIndex_ + step * direction);
+      if (step <= behind) indices.push(this.currentTimeIndex_ - step * direction);
+    }
+    
+    return indices.filter(index => index >= 0 && index < timeCount);
+  }
+  
+  /**
+   * Queue prefetch jobs for the visible tiles at neighbouring time indices
+   * @private
+   */
+  _startPrefetch() {
+    // Prefetched chunks only help if they can be kept
+    if (ZarrTile.chunkCache_.maxSize === 0) {
+      this._log('Prefetch skipped, chunk cache is disabled');
+      return;
+    }
+    
+    const state = this.prefetchState_;
+    const tiles = [...state.tiles.values()].reverse();
+    
+    state.queue = [];
+    for (const timeIndex of this._getPrefetchTimeIndices()) {
+      for (const [z, x, y] of tiles) {
+        state.queue.push({ z, x, y, timeIndex });
+      }
+    }
+    
+    this._log(`Prefetching ${state.queue.length} tiles around time index ${this.currentTimeIndex_}`);
+    const idleRunners = PREFETCH.CONCURRENCY - state.runners;
+    for (let i = 0; i < idleRunners; i++) {
+      this._runPrefetchQueue();
+    }
+  }
+  
+  /**
+   * Run queued prefetch jobs one after another until the queue is empty
+   * @private
+   */
+  async _runPrefetchQueue() {
+    const state = this.prefetchState_;
+    state.runners++;
+    
+    while (state.queue.length > 0) {
+      const { z, x, y, timeIndex } = state.queue.shift();
+      
+      try {
+        await this._runWorkerJob({ ...this._createTileMessage(z, x, y, timeIndex), prefetch: true }, state.controller.signal, JOB_PRIORITY.PREFETCH);
+      } catch (error) {
+        if (error.name === 'AbortError') continue;
+        this._log(`Prefetch failed for tile (${z}, ${x}, ${y}) at time index ${timeIndex}:`, error.message);
+      }
+    }
+    
+    state.runners--;
+  }
+  
+  // ===== UTILITY METHODS =====
+  
+  /**
+   * Check if zoom level is supported
+   */
+  isZoomSupported(z) {
+    return this.config_.zoomLevels.includes(z);
+  }
+  
+  /**
+   * Get array path for zoom level and array name, mapping z to the multiscales dataset path if present
+   * @private
+   */
+  _getArrayPath(z, arrayName) {
+    return ZarrTile._getLevelArrayPath(this.config_, z, arrayName);
+  }
+  
+  /**
+   * Get array path for zoom level and array name from a resolved configuration
+   * @private
+   */
+  static _getLevelArrayPath({ path, levelPaths, levelLayout, arrayNames }, z, arrayName) {
+    if (!levelPaths) {
+      return `${path}/${z}/${arrayName}`.replace(/\/+/g, '/');
+    }
+    
+    const levelPath = levelPaths[z];
+    if (levelLayout === 'array' && arrayName === arrayNames.value) {
+      return `${path}/${levelPath}`.replace(/\/+/g, '/');
+    }
+    return `${path}/${levelPath}/${arrayName}`.replace(/\/+/g, '/');
+  }
+  
+  /**
+   * Normalize URL by removing trailing slashes
+   * @private
+   */
+  static _normalizeUrl(url) {
+    return url.replace(/\/+$/, '');
+  }
+  
+  /**
+   * Check if two arrays are equal
+   * @private
+   */
+  _arraysEqual(a, b) {
+    return Array.isArray(a) && Array.isArray(b) && 
+           a.length === b.length && a.every((val, i) => val === b[i]);
+  }
+  
+  /**
+   * Log helper with verbose control
+   * @private
+   */
+  _log(...args) {
+    if (this.verbose_) {
+      console.log('[ZarrTile]', ...args);
+    }
+  }
+  
+  // ===== PUBLIC API METHODS =====
+  
+  /**
+   * Get all timestamps
+   */
+  getTimestamps() {
+    return [...this.timestamps_];
+  }
+  
+  /**
+   * Get current time index
+   */
+  getCurrentTimeIndex() {
+    return this.currentTimeIndex_;
+  }
+  
+  /**
+   * Set current time index with validation
+   */
+  setCurrentTimeIndex(index) {
+    if (typeof index !== 'number' || !Number.isInteger(index)) {
+      throw new Error('Time index must be an integer');
+    }
+    
+    const clampedIndex = Math.max(0, Math.min(index, this.timestamps_.length - 1));
+    if (clampedIndex !== this.currentTimeIndex_) {
+      this.currentTimeIndex_ = clampedIndex;
+      if (this.timestamps_.length > 0) {
+        this.set('time', this.timestamps_[clampedIndex]);
+      }
+      this._invalidateCache('Time index changed');
+    }
+  }
+  
+  /**
+   * Get current time value
+   */
+  getCurrentTime() {
+    return this.timestamps_[this.currentTimeIndex_] || null;
+  }
+  
+  /**
+   * Set current time by finding closest timestamp
+   */
+  setCurrentTime(timeValue) {
+    if (!timeValue) return;
+    
+    this.setCurrentTimeIndex(Math.max(0, ZarrTile._findClosestTimeIndex(this.timestamps_, timeValue)));
+  }
+  
+  /**
+   * Find the index of the timestamp closest to a time value of the same type; strings
+   * must match exactly
+   * @private
+   * @return {number} Time index, -1 without a match
+   */
+  static _findClosestTimeIndex(timestamps, timeValue) {
+    let bestIndex = -1;
+    let bestDiff = Infinity;
+    
+    for (let i = 0; i < timestamps.length; i++) {
+      const timestamp = timestamps[i];
+      
+      let diff;
+      if (timestamp instanceof Date && timeValue instanceof Date) {
+        diff = Math.abs(timestamp.getTime() - timeValue.getTime());
+      } else if (typeof timestamp === 'number' && typeof timeValue === 'number') {
+        diff = Math.abs(timestamp - timeValue);
+      } else if (typeof timestamp === 'string' && typeof timeValue === 'string') {
+        diff = timestamp === timeValue ? 0 : Infinity;
+      } else {
+        continue; // Type mismatch
+      }
+      
+      if (diff < bestDiff) {
+        bestDiff = diff;
+        bestIndex = i;
+      }
+    }
+    
+    return bestIndex;
+  }
+  
+  /**
+   * Get current bands
+   */
+  getBands() {
+    return [...this.bands_];
+  }
+  
+  /**
+   * Set current bands with validation
+   */
+  setBands(bands) {
+    const totalBands = this._getDimensionSize('band');
+    const validatedBands = ZarrTileValidator.validateBands(bands, totalBands, 'setBands call');
+    
+    if (!this._arraysEqual(validatedBands, this.bands_)) {
+      this.bands_ = validatedBands;
+      this.set('bands', [...this.bands_]);
+      this._invalidateCache('Bands changed');
+    }
+  }
+  
+  /**
+   * Get current band math expressions, null when raw bands are rendered
+   */
+  getExpressions() {
+    return this.expressions_ ? [...this.expressions_] : null;
+  }
+  
+  /**
+   * Render band math expressions instead of bands, or raw bands again with null.
+   * Unless user statistics describe the band composition, the statistics of the expression
+   * outputs are sampled from the coarsest level; tiles wait for them.
+   * @param {Array<string>|null} expressions 1 or 3 expressions, e.g. ['(b7 - b3) / (b7 + b3)']
+   * @return {Promise<void>} Resolves when the expression statistics are ready
+   */
+  setExpressions(expressions) {
+    const totalBands = this._getDimensionSize('band');
+    const validated = ZarrTileValidator.validateExpressions(expressions, this.config_.bandNames, totalBands, 'setExpressions call');
+    if (validated && this.categories_) {
+      throw new Error('Expressions cannot be used with categorical data');
+    }
+    
+    if (this._arraysEqual(validated, this.expressions_) || (validated === null && this.expressions_ === null)) {
+      return this.expressionStatisticsReady_ || Promise.resolve();
+    }
+    
+    this.expressions_ = validated;
+    this._updateExpressionStatistics();
+    
+    this.set('expressions', validated ? [...validated] : null);
+    return this.expressionStatisticsReady_ || Promise.resolve();
+  }
+  
+  /**
+   * Sample the statistics of the current expressions' outputs at the current extra dimension
+   * indices, unless user statistics describe the band composition
+   * @private
+   */
+  _updateExpressionStatistics() {
+    this.expressionStatistics_ = null;
+    this.expressionStatisticsReady_ = null;
+    
+    if (this.expressions_ && !ZarrTile._statisticsDescribeComposition(this.config_)) {
+      this._trackStatisticsSampling('expression', this._sampleExpressionStatistics(this.expressions_).catch(error => {
+        // Tiles wait for this promise, so it must not stay rejected
+        this._log('Warning: could not sample expression statistics:', error.message);
+        return null;
+      }));
+    }
+  }
+  
+  /**
+   * Make tiles wait for statistics being sampled, then use them unless a later sampling
+   * replaced this one and redraw, as normalization ranges changed
+   * @param {string} kind 'expression', 'temporal' or 'dimension', naming the
+   *   <kind>Statistics_ and <kind>StatisticsReady_ properties
+   * @param {Promise<Object|null>} sampling Resolves to the statistics, null if sampling failed
+   * @param {function(Object)} [keep] Receives the sampled statistics even if replaced, to cache them
+   * @private
+   */
+  _trackStatisticsSampling(kind, sampling, keep = null) {
+    const ready = sampling.then(statistics => {
+      if (statistics && keep) keep(statistics);
+      
+      if (this[`${kind}StatisticsReady_`] !== ready) return;
+      this[`${kind}Statistics_`] = statistics;
+      this[`${kind}StatisticsReady_`] = null;
+      this._invalidateCache(`Sampled ${kind} statistics`);
+      this.changed();
+    });
+    this[`${kind}StatisticsReady_`] = ready;
+  }
+  
+  /**
+   * Get dataset band names, null when the dataset has none
+   */
+  getBandNames() {
+    return this.config_.bandNames ? [...this.config_.bandNames] : null;
+  }
+  
+  /**
+   * Get the current temporal composite, null when single timesteps are rendered
+   */
+  getTemporalComposite() {
+    return this.temporalComposite_ ? { ...this.temporalComposite_ } : null;
+  }
+  
+  /**
+   * Render a temporal composite over a time window instead of single timesteps, or single
+   * timesteps again with null. The composite's statistics are sampled from the coarsest level
+   * for every new window, so a rolling window is resampled as the time index moves; tiles
+   * wait for them.
+   * @param {Object|null} composite {method, percentile, start, end} for a fixed window or
+   *   {method, percentile, before, after} for a rolling window around the current time index
+   * @return {Promise<void>} Resolves when the composite statistics are ready
+   */
+  setTemporalComposite(composite) {
+    const timeCount = this._getDimensionSize('time');
+    const validated = ZarrTileValidator.validateTemporalComposite(composite, timeCount, 'setTemporalComposite call');
+    if (validated && this.difference_) {
+      throw new Error('A temporal composite cannot be combined with difference mode');
+    }
+    if (validated && this.categories_) {
+      throw new Error('Temporal composites cannot be used with categorical data');
+    }
+    
+    if (JSON.stringify(validated) !== JSON.stringify(this.temporalComposite_)) {
+      this.temporalComposite_ = validated;
+      this.set('temporalComposite', validated ? { ...validated } : null);
+    }
+    
+    return this.temporalStatisticsReady_ || Promise.resolve();
+  }
+  
+  /**
+   * Get the time indices the current composite reduces, null without a composite
+   */
+  getCompositeTimeIndices() {
+    return this.temporalComposite_ ? this._getCompositeWindow(this.currentTimeIndex_).timeIndices : null;
+  }
+  
+  /**
+   * Get the current difference {from, to, mode} with time indices, null when single
+   * timesteps are rendered
+   */
+  getDifference() {
+    return this.difference_ ? { ...this.difference_ } : null;
+  }
+  
+  /**
+   * Render the change between two timesteps instead of single timesteps, or single timesteps
+   * again with null: value[to] - value[from] for the current bands or expressions, or the
+   * relative change (value[to] - value[from]) / |value[from]|. Pixels that are NODATA in either
+   * timestep are NODATA. The difference's statistics are sampled from the coarsest level and
+   * normalization uses a range symmetric around zero; tiles wait for them.
+   * @param {Object|null} difference {from, to, mode}, from and to as time indices or
+   *   timestamps, mode 'absolute' (default) or 'relative'
+   * @return {Promise<void>} Resolves when the difference statistics are ready
+   */
+  setDifference(difference) {
+    const validated = ZarrTileValidator.validateDifference(difference, this.timestamps_, 'setDifference call');
+    if (validated && this.temporalComposite_) {
+      throw new Error('Difference mode cannot be combined with a temporal composite');
+    }
+    if (validated && this.categories_) {
+      throw new Error('Difference mode cannot be used with categorical data');
+    }
+    
+    if (JSON.stringify(validated) !== JSON.stringify(this.difference_)) {
+      this.difference_ = validated;
+      this.set('difference', validated ? { ...validated } : null);
+    }
+    
+    return this.temporalStatisticsReady_ || Promise.resolve();
+  }
+  
+  /**
+   * Get the difference mode and its two time indices
+   * @private
+   * @return {Object} {mode, timeIndices: [from, to]}
+   */
+  _getDifferenceTimesteps() {
+    const { from, to, mode } = this.difference_;
+    return { mode, timeIndices: [from, to] };
+  }
+  
+  /**
+   * Get the composite reduction and its time indices at a time index
+   * @private
+   * @return {Object} {method, percentile, timeIndices}
+   */
+  _getCompositeWindow(timeIndex) {
+    const { method, percentile, start, end, before, after } = this.temporalComposite_;
+    const lastIndex = this._getDimensionSize('time') - 1;
+    const from = start ?? Math.max(0, timeIndex - before);
+    const to = end ?? Math.min(lastIndex, timeIndex + after);
+    
+    return { method, percentile, timeIndices: Array.from({ length: to - from + 1 }, (_, i) => from + i) };
+  }
+  
+  /**
+   * Use or sample the statistics of the composite window at the current time index, or of
+   * the difference; sampled statistics are kept for recent windows and differences
+   * @private
+   */
+  _updateTemporalStatistics() {
+    if (!this.temporalComposite_ && !this.difference_) {
+      this.temporalStatistics_ = null;
+      this.temporalStatisticsReady_ = null;
+      this.temporalStatisticsKey_ = null;
+      return;
+    }
+    
+    const bandNodata = this._resolveNodataForBands(this.bands_);
+    const channels = this.expressions_ ?
+      ZarrTile._getExpressionChannels(this.expressions_, this.config_) :
+      this.bands_.map((band, i) => ({ band, nodata: bandNodata?.[i] ?? null }));
+    const reduction = this.temporalComposite_ ?
+      { composite: this._getCompositeWindow(this.currentTimeIndex_) } :
+      { difference: this._getDifferenceTimesteps() };
+    
+    const key = JSON.stringify([channels, reduction, this.dimensionIndices_]);
+    if (key === this.temporalStatisticsKey_) return; // Current, or being sampled
+    this.temporalStatisticsKey_ = key;
+    
+    const cache = this.temporalStatisticsCache_;
+    if (cache.has(key)) {
+      this.temporalStatistics_ = cache.get(key);
+      this.temporalStatisticsReady_ = null;
+      return;
+    }
+    
+    this.temporalStatistics_ = null;
+    this._trackStatisticsSampling('temporal', this._sampleTemporalStatistics(channels, reduction), statistics => {
+      cache.set(key, statistics);
+      if (cache.size > TEMPORAL_STATISTICS.MAX_CACHED) {
+        cache.delete(cache.keys().next().value);
+      }
+    });
+  }
+  
+  /**
+   * Sample statistics of a composite window or difference, with global statistics for the
+   * normalization strategy. Returns null if sampling fails.
+   * @private
+   * @param {Object} reduction {composite} or {difference}
+   */
+  async _sampleTemporalStatistics(channels, reduction) {
+    const { normalize, timestamps, computeStatistics, zoomLevels, dimensions, dtype, packing } = this.config_;
+    const timeCount = this._getDimensionSize('time');
+    
+    try {
+      const statistics = await ZarrTileResolver._sampleStatistics(channels, {
+        store: this.store_,
+        url: this.url_,
+        storePath: this._getArrayPath(Math.min(...zoomLevels), this.arrayNames_.value),
+        pool: this.workerPool_,
+        timeCount,
+        dimensions,
+        dimensionIndices: { ...this.dimensionIndices_ },
+        dtype,
+        packing,
+        ...ZarrTileResolver._getChannelSamplingOptions(computeStatistics, normalize),
+        ...reduction
+      }, this.verbose_);
+      
+      if (normalize) {
+        statistics.globalStatistics = ZarrTileResolver._calculateExpressionGlobalStatistics(
+          statistics, normalize, timestamps, this.verbose_
+        );
+        // A composite or difference has a single set of statistics, the same at every time index
+        if (statistics.globalStatistics?.global) {
+          statistics.globalStatistics.globalBandPerTime = new Array(timeCount).fill(statistics.globalStatistics.global);
+        }
+      }
+      return statistics;
+    } catch (error) {
+      this._log('Warning: could not sample temporal statistics:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Sample statistics of expression outputs, with global statistics for the normalization strategy
+   * @private
+   */
+  async _sampleExpressionStatistics(expressions) {
+    const { normalize, timestamps } = this.config_;
+    const options = {
+      compute_statistics: this.config_.computeStatistics,
+      normalize,
+      worker_url: this.config_.workerUrl,
+      max_workers: this.config_.maxWorkers
+    };
+    const valueArrayMetadata = { shape: this.config_.valueArrayShape, dtype: this.config_.dtype };
+    
+    const statistics = await ZarrTileResolver._computeExpressionStatistics(
+      options, { ...this.config_, dimensionIndices: { ...this.dimensionIndices_ } }, this.store_,
+      valueArrayMetadata, expressions, this.verbose_
+    );
+    
+    if (statistics && normalize && normalize.strategy !== NORMALIZATION_STRATEGIES.PER_BAND_PER_TIME) {
+      statistics.globalStatistics = ZarrTileResolver._calculateExpressionGlobalStatistics(
+        statistics, normalize, timestamps, this.verbose_
+      );
+    }
+    return statistics;
+  }
+  
+  /**
+   * Get current resolved NODATA values
+   */
+  getCurrentNodata() {
+    this._updateResolvedCache();
+    return this.resolvedCache_.nodata ? [...this.resolvedCache_.nodata] : null;
+  }
+  
+  /**
+   * Get current resolved statistics
+   */
+  getCurrentStatistics() {
+    this._updateResolvedCache();
+    return this.resolvedCache_.statistics ? [...this.resolvedCache_.statistics] : null;
+  }
+  
+  /**
+   * Get current resolved normalization with strategy support
+   */
+  getCurrentNormalization() {
+    this._updateResolvedCache();
+    return this.resolvedCache_.normalization ? [...this.resolvedCache_.normalization] : null;
+  }
+  
+  /**
+   * Get render configuration
+   */
+  getRenderConfiguration() {
+    return {
+      renderType: this.config_.renderType,
+      nodataStrategy: this.config_.nodataStrategy,
+      nodataReplaceValue: this.config_.nodataReplaceValue,
+      maskNodata: this.config_.maskNodata,
+      normalizationStrategy: this.config_.normalize?.strategy || null,
+      drc: this.config_.drc ? { ...this.config_.drc } : null,
+      colormap: this.getColormap()
+    };
+  }
+  
+  /**
+   * Get the current colormap as resolved stops {stops: [{position, color: [r, g, b, a]}], type},
+   * positions in normalized values and colors 0-255; null without a colormap
+   */
+  getColormap() {
+    if (!this.colormap_) return null;
+    const { stops, type } = this.colormap_;
+    return { stops: stops.map(({ position, color }) => ({ position, color: [...color] })), type };
+  }
+  
+  /**
+   * Color display tiles of a single band or expression with a colormap, or render the
+   * normalized values again with null. Tiles become 4-channel RGBA.
+   * @param {string|Object|null} colormap Ramp name such as 'viridis' or 'RdYlGn_r',
+   *   {name, reverse, type, steps} or {stops: [[position, color], ...], type}
+   */
+  setColormap(colormap) {
+    if (colormap && this.config_.renderType !== RENDER_TYPES.DISPLAY) {
+      throw new Error(`Colormaps require render_type '${RENDER_TYPES.DISPLAY}'`);
+    }
+    if (colormap && this.categories_) {
+      throw new Error('Colormaps cannot be used with categorical data, colors come from the categories');
+    }
+    
+    const validated = ZarrTileValidator.validateColormap(colormap, 'setColormap call');
+    if (JSON.stringify(validated) === JSON.stringify(this.colormap_)) return;
+    
+    this.colormap_ = validated;
+    this.colormapLUT_ = validated ? createColormapLUT(validated) : null;
+    this.set('colormap', this.getColormap());
+  }
+
+  /**
+   * Describe the current rendering for a legend: the class entries of categorical data, or the
+   * colormap stops at their data values, taken from the current normalization range (or the
+   * std_stretch range) of the rendered band or expression
+   * @return {Object|null} {type: 'categories', title, entries: [{value, label, color, visible}]} or
+   *   {type: 'colormap', title, colormapType, min, max, stops: [{value, position, color}]}, colors
+   *   [r, g, b, a] 0-255; null without categories or colormap, or for RGB composites
+   */
+  getLegend() {
+    if (this._getChannelCount() !== 1 || this.config_.renderType !== RENDER_TYPES.DISPLAY) {
+      return null;
+    }
+    
+    const title = this.expressions_ ? this.expressions_[0] :
+      this.config_.bandNames?.[this.bands_[0]] ?? `Band ${this.bands_[0]}`;
+    
+    if (this.categories_) {
+      return { type: 'categories', title, entries: this.getCategories() };
+    }
+    
+    if (!this.colormap_) return null;
+    
+    const { min, max } = this._getLegendRange();
+    return {
+      type: 'colormap',
+      title,
+      colormapType: this.colormap_.type,
+      min,
+      max,
+      stops: this.colormap_.stops.map(({ position, color }) => ({
+        value: min + position * (max - min),
+        position,
+        color: [...color]
+      }))
+    };
+  }
+  
+  /**
+   * Data values shown at the ends of the colormap, as the worker maps them to [0, 1]:
+   * the normalization range, the std_stretch range or the values themselves
+   * @private
+   */
+  _getLegendRange() {
+    this._updateResolvedCache();
+    const { displayRenderParams, normalization } = this.resolvedCache_;
+    
+    if (displayRenderParams?.strategy === DRC_STRATEGIES.STD_STRETCH && displayRenderParams.stretchParams?.[0]) {
+      const { mean, std, slope } = displayRenderParams.stretchParams[0];
+      return { min: mean - slope * std, max: mean + slope * std };
+    }
+    if (displayRenderParams?.strategy === DRC_STRATEGIES.NORMALIZE && normalization?.[0]) {
+      return { min: normalization[0].min, max: normalization[0].max };
+    }
+    return { min: 0, max: 1 };
+  }
+
+  /**
+   * Get current resolved display render parameters
+   */
+  getCurrentDisplayRenderParams() {
+    if (this.config_.renderType !== RENDER_TYPES.DISPLAY) {
+      return null;
+    }
+    
+    this._updateResolvedCache();
+    return this.resolvedCache_.displayRenderParams ? 
+      JSON.parse(JSON.stringify(this.resolvedCache_.displayRenderParams)) : null;
+  }
+  
+  /**
+   * Get complete immutable configuration
+   */
+  getConfiguration() {
+    return this.config_; // Already frozen
+  }
+  
+  /**
+   * Get array paths for current configuration
+   */
+  getArrayPaths() {
+    return { ...this.arrayNames_ };
+  }
+  
+  /**
+   * Get supported zoom levels
+   */
+  getSupportedZoomLevels() {
+    return [...this.config_.zoomLevels];
+  }
+  
+  /**
+   * Get resolutions
+   */
+  getResolutions() {
+    return [...this.config_.resolutions];
+  }
+  
+  /**
+   * Get extent
+   */
+  getExtent() {
+    return [...this.config_.extent];
+  }
+  
+  /**
+   * Get CRS
+   */
+  getCRS() {
+    return this.config_.crs;
+  }
+  
+  /**
+   * Check if verbose logging is enabled
+   */
+  isVerbose() {
+    return this.verbose_;
+  }
+  
+  /**
+   * Move to the next timestep (caps at last timestep if at boundary)
+   * @return {boolean} True if index changed, false if already at last timestep
+   */
+  nextTimestep() {
+    if (this.currentTimeIndex_ < this.timestamps_.length - 1) {
+      this.setCurrentTimeIndex(this.currentTimeIndex_ + 1);
+      return true;
+    }
+    return false; // Already at last timestep
+  }
+
+  /**
+   * Move to the previous timestep (caps at first timestep if at boundary)
+   * @return {boolean} True if index changed, false if already at first timestep
+   */
+  previousTimestep() {
+    if (this.currentTimeIndex_ > 0) {
+      this.setCurrentTimeIndex(this.currentTimeIndex_ - 1);
+      return true;
+    }
+    return false; // Already at first timestep
+  }
+
+  /**
+   * Move forward by n timesteps (caps at last timestep if would exceed)
+   * @param {number} n Number of timesteps to move forward
+   * @return {boolean} True if index changed, false if already at target position
+   */
+  nextTimesteps(n) {
+    if (typeof n !== 'number' || !Number.isInteger(n)) {
+      throw new Error('Number of timesteps must be an integer');
+    }
+    
+    if (n < 0) {
+      throw new Error('Number of timesteps must be non-negative. Use previousTimesteps() for backward movement.');
+    }
+    
+    if (n === 0) {
+      return false; // No movement requested
+    }
+    
+    const targetIndex = Math.min(this.currentTimeIndex_ + n, this.timestamps_.length - 1);
+    
+    if (targetIndex !== this.currentTimeIndex_) {
+      this.setCurrentTimeIndex(targetIndex);
+      return true;
+    }
+    
+    return false; // Already at target position
+  }
+
+  /**
+   * Move backward by n timesteps (caps at first timestep if would exceed)
+   * @param {number} n Number of timesteps to move backward
+   * @return {boolean} True if index changed, false if already at target position
+   */
+  previousTimesteps(n) {
+    if (typeof n !== 'number' || !Number.isInteger(n)) {
+      throw new Error('Number of timesteps must be an integer');
+    }
+    
+    if (n < 0) {
+      throw new Error('Number of timesteps must be non-negative. Use nextTimesteps() for forward movement.');
+    }
+    
+    if (n === 0) {
+      return false; // No movement requested
+    }
+    
+    const targetIndex = Math.max(this.currentTimeIndex_ - n, 0);
+    
+    if (targetIndex !== this.currentTimeIndex_) {
+      this.setCurrentTimeIndex(targetIndex);
+      return true;
+    }
+    
+    return false; // Already at target position
+  }
+  
+  // ===== EXTRA DIMENSIONS =====
+  
+  /**
+   * Get the extra dimensions of the value array, those besides time, band, y and x, such as
+   * depth or ensemble member
+   * @return {Array<Object>} [{name, size, index, values, units}] with the selected index;
+   *   values (coordinates) and units are null without a coordinate array
+   */
+  getDimensions() {
+    return this.config_.extraDimensions.map(({ name, size, values, units }) => ({
+      name,
+      size,
+      index: this.dimensionIndices_[name],
+      values: values ? [...values] : null,
+      units
+    }));
+  }
+  
+  /**
+   * Get the selected index of an extra dimension
+   */
+  getDimensionIndex(name) {
+    this._validateDimensionName(name);
+    return this.dimensionIndices_[name];
+  }
+  
+  /**
+   * Select an index of an extra dimension, e.g. a depth level; tiles, value queries and zonal
+   * statistics read it. Statistics stored per index are looked up, sampled statistics
+   * (compute_statistics, expressions, composites and differences) are sampled again at the
+   * index and tiles wait for them. Changes the observable 'dimension:<name>' property.
+   * @param {string} name Dimension name
+   * @param {number} index
+   * @return {Promise<void>} Resolves when the statistics at the index are ready
+   */
+  setDimensionIndex(name, index) {
+    this._validateDimensionName(name);
+    const { size } = this.config_.extraDimensions.find(dimension => dimension.name === name);
+    if (!Number.isInteger(index) || index < 0 || index >= size) {
+      throw new Error(`Index ${index} of dimension ${name} is out of range (0-${size - 1})`);
+    }
+    
+    if (index !== this.dimensionIndices_[name]) {
+      this.dimensionIndices_ = { ...this.dimensionIndices_, [name]: index };
+      this._updateDimensionStatistics();
+      this._updateExpressionStatistics();
+      this.set(`dimension:${name}`, index); // Composite and difference statistics follow
+    }
+    
+    return Promise.all([
+      this.dimensionStatisticsReady_, this.expressionStatisticsReady_, this.temporalStatisticsReady_
+    ]).then(() => {});
+  }
   
   /**
-   * Check if two arrays are equal
    * @private
    */
-  _arraysEqual(a, b) {
-    return Array.isArray(a) && Array.isArray(b) && 
-           a.length === b.length && a.every((val, i) => val === b[i]);
+  _validateDimensionName(name) {
+    if (!this.config_.extraDimensions.some(dimension => dimension.name === name)) {
+      const available = this.config_.extraDimensions.map(dimension => dimension.name);
+      throw new Error(`Unknown dimension ${name}. Available: ${available.length ? available.join(', ') : 'none'}`);
+    }
   }
   
   /**
-   * Log helper with verbose control
+   * Use, look up or sample the dataset band statistics at the current extra dimension indices:
+   * statistics arrays hold them per index and computed statistics are sampled again, other
+   * statistics are the same at every index. Recent ones are kept.
    * @private
    */
-  _log(...args) {
-    if (this.verbose_) {
-      console.log('[ZarrTile]', ...args);
+  _updateDimensionStatistics() {
+    const { statisticsSource, statisticsFormat, dimensionStatistics, dimensionIndices } = this.config_;
+    const key = ZarrTileResolver._getDimensionKey(this.dimensionIndices_);
+    if (key === this.dimensionStatisticsKey_) return; // Current, or being sampled
+    this.dimensionStatisticsKey_ = key;
+    
+    this.dimensionStatistics_ = null;
+    this.dimensionStatisticsReady_ = null;
+    if (key === ZarrTileResolver._getDimensionKey(dimensionIndices) ||
+        (!dimensionStatistics && statisticsSource !== 'computed')) {
+      return; // The configured statistics
+    }
+    
+    const cache = this.dimensionStatisticsCache_;
+    const keep = (statistics) => {
+      cache.set(key, statistics);
+      if (cache.size > DIMENSION_STATISTICS.MAX_CACHED) {
+        cache.delete(cache.keys().next().value);
+      }
+    };
+    
+    if (cache.has(key)) {
+      this.dimensionStatistics_ = cache.get(key);
+    } else if (dimensionStatistics) {
+      const statistics = dimensionStatistics[key];
+      this.dimensionStatistics_ = {
+        statistics,
+        format: statisticsFormat,
+        globalStatistics: this._calculateDimensionGlobalStatistics(statistics, statisticsFormat)
+      };
+      keep(this.dimensionStatistics_);
+    } else {
+      this._trackStatisticsSampling('dimension', this._sampleDimensionStatistics(), keep);
+    }
+  }
+  
+  /**
+   * Sample the statistics of every dataset band at the current extra dimension indices like
+   * compute_statistics. Returns null if sampling fails.
+   * @private
+   */
+  async _sampleDimensionStatistics() {
+    const { computeStatistics, valueArrayShape, dtype } = this.config_;
+    const options = { worker_url: this.config_.workerUrl, max_workers: this.config_.maxWorkers };
+    
+    try {
+      const { statistics, format } = await ZarrTileResolver._computeStatistics(
+        options, { ...this.config_, dimensionIndices: { ...this.dimensionIndices_ } }, this.store_,
+        { shape: valueArrayShape, dtype }, computeStatistics, this.verbose_
+      );
+      return { statistics, format, globalStatistics: this._calculateDimensionGlobalStatistics(statistics, format) };
+    } catch (error) {
+      this._log('Warning: could not sample statistics at the dimension indices:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Global statistics of dataset band statistics for the normalization strategy, null when
+   * the strategy does not use them
+   * @private
+   */
+  _calculateDimensionGlobalStatistics(statistics, format) {
+    const { normalize } = this.config_;
+    if (!normalize || normalize.strategy === NORMALIZATION_STRATEGIES.PER_BAND_PER_TIME) return null;
+    
+    return ZarrTileResolver._calculateGlobalStatistics(
+      { ...this.config_, statistics, statisticsFormat: format }, this.verbose_
+    );
+  }
+  
+  // ===== CATEGORIES =====
+  
+  /**
+   * Whether the data holds class values, read from the categories option or metadata
+   */
+  isCategorical() {
+    return this.categories_ !== null;
+  }
+  
+  /**
+   * Get the class definitions, sorted by value
+   * @return {Array<Object>} [{value, label, color: [r, g, b, a], visible}], empty for continuous data
+   */
+  getCategories() {
+    return (this.categories_ || []).map(({ value, label, color }) => ({
+      value, label, color: [...color], visible: !this.hiddenCategories_.has(value)
+    }));
+  }
+  
+  /**
+   * Show or hide the pixels of one class
+   * @param {number} value Class value
+   * @param {boolean} visible
+   */
+  setCategoryVisible(value, visible) {
+    this._validateCategoryValue(value);
+    
+    const hidden = new Set(this.hiddenCategories_);
+    if (visible) {
+      hidden.delete(value);
+    } else {
+      hidden.add(value);
+    }
+    this._setHiddenCategories(hidden);
+  }
+  
+  /**
+   * Show only the given classes, or all of them with null
+   * @param {Array<number>|null} values Class values
+   */
+  setVisibleCategories(values) {
+    if (values !== null && !Array.isArray(values)) {
+      throw new Error('Visible categories must be an array of class values or null');
+    }
+    values?.forEach(value => this._validateCategoryValue(value));
+    
+    const visible = new Set(values ?? this.categories_?.map(({ value }) => value));
+    this._setHiddenCategories(new Set(
+      (this.categories_ || []).map(({ value }) => value).filter(value => !visible.has(value))
+    ));
+  }
+  
+  /**
+   * @private
+   */
+  _validateCategoryValue(value) {
+    if (!this.categories_) {
+      throw new Error('Source has no categories');
+    }
+    if (!this.categories_.some(category => category.value === value)) {
+      throw new Error(`Unknown category value ${value}. Available: ${this.categories_.map(c => c.value).join(', ')}`);
+    }
+  }
+  
+  /**
+   * @private
+   */
+  _setHiddenCategories(hidden) {
+    if (hidden.size === this.hiddenCategories_.size && [...hidden].every(value => this.hiddenCategories_.has(value))) {
+      return;
+    }
+    this.hiddenCategories_ = hidden;
+    this.set('hiddenCategories', [...hidden].sort((a, b) => a - b));
+  }
+  
+  // ===== VALUE QUERIES =====
+  
+  /**
+   * Read the unnormalized values of the pixel under a map coordinate, from the same
+   * zoom level arrays the tiles are read from
+   * @param {Array<number>} coordinate Map coordinate in the source projection
+   * @param {Object} [options]
+   * @param {number} [options.timeIndex] Time index, defaults to the current one
+   * @param {Array<number>} [options.bands] Band indices, defaults to the current bands
+   * @param {number} [options.resolution] View resolution, picks the zoom level the way tiles are picked;
+   *   defaults to the finest supported level
+   * @param {AbortSignal} [options.signal] Cancels the read
+   * @return {Promise<Object|null>} {coordinate, z, pixel: [row, col], timeIndex, time, values: [{band, value, nodata}]}
+   *   with the class label of each value as label for categorical data, or null when the coordinate is outside the data
+   */
+  async getValueAtCoordinate(coordinate, options = {}) {
+    this._validateQueryCoordinate(coordinate);
+    
+    const { timeIndex = this.currentTimeIndex_, resolution = null, signal = null } = options;
+    this._validateQueryTimeIndex(timeIndex);
+    const bands = this._resolveQueryBands(options.bands, 'getValueAtCoordinate call');
+    
+    const z = this._getZoomForResolution(resolution);
+    const pixel = this._getPixelAtCoordinate(coordinate, z);
+    if (!pixel) return null;
+    
+    const result = await this._runPixelJob(z, pixel, bands, { timeIndex }, signal);
+    if (!result) return null;
+    
+    return {
+      coordinate: [coordinate[0], coordinate[1]],
+      z,
+      pixel: [pixel.row, pixel.col],
+      timeIndex,
+      time: this.timestamps_[timeIndex] ?? null,
+      values: bands.map((band, i) => ({
+        band,
+        value: result.values[i],
+        nodata: result.nodata[i],
+        ...(this.categories_ && {
+          label: this.categories_.find(category => category.value === result.values[i])?.label ?? null
+        })
+      }))
+    };
+  }
+  
+  /**
+   * Read the time series of the pixel under a map coordinate, one value per band and timestep
+   * @param {Array<number>} coordinate Map coordinate in the source projection
+   * @param {Object} [options]
+   * @param {Array<number>} [options.bands] Band indices, defaults to the current bands
+   * @param {Array<number>} [options.timeRange] Inclusive [start, end] time indices, defaults to all timesteps
+   * @param {number} [options.zoom] Supported zoom level to read from, defaults to the finest one
+   * @param {AbortSignal} [options.signal] Cancels the read
+   * @return {Promise<Object|null>} {coordinate, z, pixel: [row, col], bands, timeRange,
+   *   series: [{timeIndex, time, values}]} with NODATA values as null, or null when the
+   *   coordinate is outside the data
+   */
+  async getTimeSeriesAt(coordinate, options = {}) {
+    this._validateQueryCoordinate(coordinate);
+    
+    const { signal = null } = options;
+    const bands = this._resolveQueryBands(options.bands, 'getTimeSeriesAt call');
+    
+    const timeRange = this._resolveQueryTimeRange(options.timeRange, [0, this.timestamps_.length - 1]);
+    
+    const z = options.zoom ?? Math.max(...this.config_.zoomLevels);
+    this._validateQueryZoom(z);
+    
+    const pixel = this._getPixelAtCoordinate(coordinate, z);
+    if (!pixel) return null;
+    
+    const result = await this._runPixelJob(z, pixel, bands, { timeRange }, signal);
+    if (!result) return null;
+    
+    const series = [];
+    for (let timeIndex = timeRange[0]; timeIndex <= timeRange[1]; timeIndex++) {
+      const offset = timeIndex - timeRange[0];
+      series.push({
+        timeIndex,
+        time: this.timestamps_[timeIndex] ?? null,
+        values: bands.map((band, i) => result.nodata[i][offset] ? null : result.values[i][offset])
+      });
+    }
+    
+    return {
+      coordinate: [coordinate[0], coordinate[1]],
+      z,
+      pixel: [pixel.row, pixel.col],
+      bands,
+      timeRange: [...timeRange],
+      series
+    };
+  }
+  
+  /**
+   * Serialize a getTimeSeriesAt() result for download
+   * @param {Object} timeSeries getTimeSeriesAt() result
+   * @param {string} [format='csv'] 'csv' (time_index, time and one column per band, NODATA empty) or 'json'
+   * @return {string}
+   */
+  static exportTimeSeries(timeSeries, format = 'csv') {
+    const formatTime = time => time instanceof Date ? time.toISOString() : time;
+    
+    if (format === 'json') {
+      return JSON.stringify({
+        ...timeSeries,
+        series: timeSeries.series.map(entry => ({ ...entry, time: formatTime(entry.time) }))
+      }, null, 2);
+    }
+    
+    if (format !== 'csv') {
+      throw new Error(`Unsupported export format "${format}", use 'csv' or 'json'`);
     }
+    
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const header = ['time_index', 'time', ...timeSeries.bands.map(band => `band_${band}`)];
+    const rows = timeSeries.series.map(({ timeIndex, time, values }) =>
+      [timeIndex, formatTime(time), ...values].map(escape).join(','));
+    
+    return [header.join(','), ...rows].join('\n') + '\n';
   }
   
-  // ===== PUBLIC API METHODS =====
-  
   /**
-   * Get all timestamps
+   * Read one pixel on a worker, at one time index ({timeIndex}) or over a range ({timeRange})
+   * @private
+   * @return {Promise<Object|null>} {values, nodata} per band, or null when the pixel is outside the array
    */
-  getTimestamps() {
-    return [...this.timestamps_];
+  async _runPixelJob(z, pixel, bands, timeSelection, signal) {
+    const storePath = this._getArrayPath(z, this.arrayNames_.value);
+    
+    const result = await this._runWorkerJob({
+      type: 'value',
+      row: pixel.row,
+      col: pixel.col,
+      bands,
+      ...timeSelection,
+      dimensions: this.config_.dimensions,
+      dimensionIndices: { ...this.dimensionIndices_ },
+      nodata: this._resolveNodataForBands(bands),
+      packing: this.config_.packing,
+      ...this._createStoreMessage(storePath),
+      verbose: this.verbose_
+    }, signal, JOB_PRIORITY.QUERY);
+    
+    // Edge tiles extend past the array, so the pixel may still fall outside it
+    return result.outside ? null : result;
   }
   
   /**
-   * Get current time index
+   * Check a query coordinate
+   * @private
    */
-  getCurrentTimeIndex() {
-    return this.currentTimeIndex_;
+  _validateQueryCoordinate(coordinate) {
+    if (!Array.isArray(coordinate) || coordinate.length < 2 ||
+        !Number.isFinite(coordinate[0]) || !Number.isFinite(coordinate[1])) {
+      throw new Error('Coordinate must be an [x, y] array of finite numbers');
+    }
   }
   
   /**
-   * Set current time index with validation
+   * Check a query time index
+   * @private
    */
-  setCurrentTimeIndex(index) {
-    if (typeof index !== 'number' || !Number.isInteger(index)) {
+  _validateQueryTimeIndex(timeIndex) {
+    if (typeof timeIndex !== 'number' || !Number.isInteger(timeIndex)) {
       throw new Error('Time index must be an integer');
     }
-    
-    const clampedIndex = Math.max(0, Math.min(index, this.timestamps_.length - 1));
-    if (clampedIndex !== this.currentTimeIndex_) {
-      this.currentTimeIndex_ = clampedIndex;
-      if (this.timestamps_.length > 0) {
-        this.set('time', this.timestamps_[clampedIndex]);
-      }
-      this._invalidateCache('Time index changed');
+    if (timeIndex < 0 || timeIndex >= this.timestamps_.length) {
+      throw new Error(`Time index ${timeIndex} is out of range (0-${this.timestamps_.length - 1})`);
     }
   }
   
   /**
-   * Get current time value
-   */
-  getCurrentTime() {
-    return this.timestamps_[this.currentTimeIndex_] || null;
-  }
-  
-  /**
-   * Set current time by finding closest timestamp
+   * Validate an inclusive [start, end] query time range, defaulting to the given range
+   * @private
    */
-  setCurrentTime(timeValue) {
-    if (!timeValue) return;
-    
-    let bestIndex = 0;
-    let bestDiff = Infinity;
+  _resolveQueryTimeRange(timeRange, defaultRange) {
+    if (timeRange === undefined || timeRange === null) return defaultRange;
     
-    for (let i = 0; i < this.timestamps_.length; i++) {
-      const timestamp = this.timestamps_[i];
-      
-      let diff;
-      if (timestamp instanceof Date && timeValue instanceof Date) {
-        diff = Math.abs(timestamp.getTime() - timeValue.getTime());
-      } else if (typeof timestamp === 'number' && typeof timeValue === 'number') {
-        diff = Math.abs(timestamp - timeValue);
-      } else if (typeof timestamp === 'string' && typeof timeValue === 'string') {
-        diff = timestamp === timeValue ? 0 : Infinity;
-      } else {
-        continue; // Type mismatch
-      }
-      
-      if (diff < bestDiff) {
-        bestDiff = diff;
-        bestIndex = i;
-      }
+    if (!Array.isArray(timeRange) || timeRange.length !== 2) {
+      throw new Error('Time range must be a [start, end] array of time indices');
     }
-    
-    this.setCurrentTimeIndex(bestIndex);
+    timeRange.forEach(index => this._validateQueryTimeIndex(index));
+    if (timeRange[0] > timeRange[1]) {
+      throw new Error(`Time range start ${timeRange[0]} is after its end ${timeRange[1]}`);
+    }
+    return [...timeRange];
   }
   
   /**
-   * Get current bands
+   * Check a query zoom level
+   * @private
    */
-  getBands() {
-    return [...this.bands_];
+  _validateQueryZoom(z) {
+    if (!this.isZoomSupported(z)) {
+      throw new Error(`Zoom level ${z} is not supported (supported: ${this.config_.zoomLevels.join(', ')})`);
+    }
   }
   
   /**
-   * Set current bands with validation
+   * Validate query bands, defaulting to the current bands
+   * @private
    */
-  setBands(bands) {
-    const totalBands = this.config_.valueArrayMetadata?.shape?.[1] || null;
-    const validatedBands = ZarrTileValidator.validateBands(bands, totalBands, 'setBands call');
+  _resolveQueryBands(bands, source) {
+    if (bands === undefined) return [...this.bands_];
     
-    if (!this._arraysEqual(validatedBands, this.bands_)) {
-      this.bands_ = validatedBands;
-      this.set('bands', [...this.bands_]);
-      this._invalidateCache('Bands changed');
-    }
+    return ZarrTileValidator.validateBandIndices(bands, this._getDimensionSize('band'), source);
   }
   
   /**
-   * Get current resolved NODATA values
+   * Length of a value array dimension (time or band), 1 when the array does not have it
+   * @private
    */
-  getCurrentNodata() {
-    this._updateResolvedCache();
-    return this.resolvedCache_.nodata ? [...this.resolvedCache_.nodata] : null;
+  _getDimensionSize(role) {
+    return ZarrTileResolver._getDimensionSize(this.config_.valueArrayShape, this.config_.dimensions, role);
   }
   
   /**
-   * Get current resolved statistics
+   * Get the supported zoom level tiles are loaded from at a view resolution,
+   * or the finest supported level without one
+   * @private
    */
-  getCurrentStatistics() {
-    this._updateResolvedCache();
-    return this.resolvedCache_.statistics ? [...this.resolvedCache_.statistics] : null;
+  _getZoomForResolution(resolution) {
+    const zoomLevels = this.config_.zoomLevels;
+    const maxZoom = Math.max(...zoomLevels);
+    if (resolution === null || resolution === undefined) return maxZoom;
+    
+    const z = this.getTileGrid().getZForResolution(resolution, this.zDirection);
+    if (zoomLevels.includes(z)) return z;
+    
+    // Resolutions between the stored levels use the closest stored level
+    return zoomLevels.reduce((best, level) =>
+      Math.abs(level - z) < Math.abs(best - z) ? level : best, maxZoom);
   }
   
   /**
-   * Get current resolved normalization with strategy support
+   * Get the array row and column under a coordinate at a zoom level, following the
+   * tile-to-array mapping of the worker; null outside the tile grid extent
+   * @private
    */
-  getCurrentNormalization() {
-    this._updateResolvedCache();
-    return this.resolvedCache_.normalization ? [...this.resolvedCache_.normalization] : null;
+  _getPixelAtCoordinate(coordinate, z) {
+    const tileGrid = this.getTileGrid();
+    const extent = tileGrid.getExtent();
+    
+    if (coordinate[0] < extent[0] || coordinate[0] >= extent[2] ||
+        coordinate[1] <= extent[1] || coordinate[1] > extent[3]) {
+      return null;
+    }
+    
+    const origin = tileGrid.getOrigin(z);
+    const resolution = tileGrid.getResolution(z);
+    
+    return {
+      row: Math.floor((origin[1] - coordinate[1]) / resolution),
+      col: Math.floor((coordinate[0] - origin[0]) / resolution)
+    };
   }
   
+  // ===== ZONAL STATISTICS =====
+  
   /**
-   * Get render configuration
+   * Compute statistics of the pixels inside a polygon, per band and timestep. Pixels are
+   * inside when their center is; NODATA (as resolved for the bands) and NaN are left out.
+   * Without a zoom, the finest level whose window fits ZONAL_STATISTICS.MAX_PIXELS is used.
+   * @param {import('ol/geom/Polygon.js').default|import('ol/geom/MultiPolygon.js').default|Object|Array<number>} geometry
+   *   OpenLayers Polygon or MultiPolygon, GeoJSON Polygon or MultiPolygon geometry, or an
+   *   [minX, minY, maxX, maxY] extent, in the source projection
+   * @param {Object} [options]
+   * @param {Array<number>} [options.bands] Band indices, defaults to the current bands
+   * @param {Array<number>} [options.timeRange] Inclusive [start, end] time indices, defaults to the current one
+   * @param {number} [options.zoom] Supported zoom level to read from
+   * @param {Array<number>} [options.percentiles] Percentiles between 0 and 100, defaults to [2, 25, 50, 75, 98]
+   * @param {AbortSignal} [options.signal] Cancels the computation
+   * @return {Promise<Object>} {z, resolution, bands, timeRange, pixelCount, series: [{timeIndex, time,
+   *   statistics: [{band, count, mean, min, max, std, percentiles: {p2, ...}}]}]}
    */
-  getRenderConfiguration() {
+  async computeZonalStatistics(geometry, options = {}) {
+    const polygons = ZarrTile._getGeometryPolygons(geometry);
+    
+    const { signal = null, percentiles = ZONAL_STATISTICS.PERCENTILES } = options;
+    if (!Array.isArray(percentiles) || !percentiles.every(p => typeof p === 'number' && p >= 0 && p <= 100)) {
+      throw new Error('Percentiles must be an array of numbers between 0 and 100');
+    }
+    
+    const bands = this._resolveQueryBands(options.bands, 'computeZonalStatistics call');
+    const timeRange = this._resolveQueryTimeRange(options.timeRange, [this.currentTimeIndex_, this.currentTimeIndex_]);
+    
+    const extent = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const rings of polygons) {
+      for (const [x, y] of rings[0]) {
+        extent[0] = Math.min(extent[0], x);
+        extent[1] = Math.min(extent[1], y);
+        extent[2] = Math.max(extent[2], x);
+        extent[3] = Math.max(extent[3], y);
+      }
+    }
+    
+    let z = options.zoom;
+    if (z === undefined) {
+      z = this._getZoomForExtent(extent);
+    } else {
+      this._validateQueryZoom(z);
+    }
+    
+    const tileGrid = this.getTileGrid();
+    const origin = tileGrid.getOrigin(z);
+    const resolution = tileGrid.getResolution(z);
+    
+    // Rings of each polygon in fractional array pixel coordinates [col, row]
+    const pixelPolygons = polygons.map(rings => rings.map(ring => ring.map(([x, y]) => [
+      (x - origin[0]) / resolution,
+      (origin[1] - y) / resolution
+    ])));
+    
+    const storePath = this._getArrayPath(z, this.arrayNames_.value);
+    
+    this._log(`Computing zonal statistics at zoom ${z} for bands [${bands}], time indices ${timeRange[0]}-${timeRange[1]}`);
+    
+    const result = await this._runWorkerJob({
+      type: 'zonalStatistics',
+      window: this._getPixelWindow(extent, z),
+      polygons: pixelPolygons,
+      bands,
+      timeRange,
+      percentiles,
+      dimensions: this.config_.dimensions,
+      dimensionIndices: { ...this.dimensionIndices_ },
+      nodata: this._resolveNodataForBands(bands),
+      packing: this.config_.packing,
+      ...this._createStoreMessage(storePath),
+      verbose: this.verbose_
+    }, signal, JOB_PRIORITY.QUERY);
+    
     return {
-      renderType: this.config_.renderType,
-      nodataStrategy: this.config_.nodataStrategy,
-      nodataReplaceValue: this.config_.nodataReplaceValue,
-      maskNodata: this.config_.maskNodata,
-      normalizationStrategy: this.config_.normalize?.strategy || null,
-      drc: this.config_.drc ? { ...this.config_.drc } : null
+      z,
+      resolution,
+      bands,
+      timeRange,
+      pixelCount: result.pixelCount,
+      series: result.series.map((statistics, offset) => ({
+        timeIndex: timeRange[0] + offset,
+        time: this.timestamps_[timeRange[0] + offset] ?? null,
+        statistics: statistics.map((bandStatistics, i) => ({ band: bands[i], ...bandStatistics }))
+      }))
     };
   }
-
+  
   /**
-   * Get current resolved display render parameters
+   * Get the finest supported zoom level whose pixel window over an extent fits the zonal
+   * statistics budget, or the coarsest level if none does
+   * @private
    */
-  getCurrentDisplayRenderParams() {
-    if (this.config_.renderType !== RENDER_TYPES.DISPLAY) {
-      return null;
+  _getZoomForExtent(extent) {
+    const zoomLevels = [...this.config_.zoomLevels].sort((a, b) => b - a);
+    
+    for (const z of zoomLevels) {
+      const { row, col } = this._getPixelWindow(extent, z);
+      if ((row[1] - row[0]) * (col[1] - col[0]) <= ZONAL_STATISTICS.MAX_PIXELS) {
+        return z;
+      }
     }
     
-    this._updateResolvedCache();
-    return this.resolvedCache_.displayRenderParams ? 
-      JSON.parse(JSON.stringify(this.resolvedCache_.displayRenderParams)) : null;
+    return zoomLevels[zoomLevels.length - 1];
   }
   
   /**
-   * Get complete immutable configuration
+   * Get the array pixel window {row: [start, end), col: [start, end)} covering an extent
+   * at a zoom level, clipped to the tile grid extent
+   * @private
    */
-  getConfiguration() {
-    return this.config_; // Already frozen
+  _getPixelWindow(extent, z) {
+    const tileGrid = this.getTileGrid();
+    const gridExtent = tileGrid.getExtent();
+    const origin = tileGrid.getOrigin(z);
+    const resolution = tileGrid.getResolution(z);
+    
+    const minX = Math.max(extent[0], gridExtent[0]);
+    const maxX = Math.min(extent[2], gridExtent[2]);
+    const minY = Math.max(extent[1], gridExtent[1]);
+    const maxY = Math.min(extent[3], gridExtent[3]);
+    
+    if (minX >= maxX || minY >= maxY) {
+      return { row: [0, 0], col: [0, 0] };
+    }
+    
+    return {
+      row: [Math.floor((origin[1] - maxY) / resolution), Math.ceil((origin[1] - minY) / resolution)],
+      col: [Math.floor((minX - origin[0]) / resolution), Math.ceil((maxX - origin[0]) / resolution)]
+    };
   }
   
   /**
-   * Get array paths for current configuration
+   * Normalize a zonal statistics geometry to a list of polygons, each a list of rings
+   * @private
    */
-  getArrayPaths() {
-    return { ...this.arrayNames_ };
+  static _getGeometryPolygons(geometry) {
+    if (Array.isArray(geometry) && geometry.length === 4 && geometry.every(Number.isFinite)) {
+      const [minX, minY, maxX, maxY] = geometry;
+      return [[[[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]]]];
+    }
+    
+    const type = typeof geometry?.getType === 'function' ? geometry.getType() : geometry?.type;
+    const coordinates = typeof geometry?.getCoordinates === 'function' ? geometry.getCoordinates() : geometry?.coordinates;
+    
+    if (type === 'Polygon') return [coordinates];
+    if (type === 'MultiPolygon') return coordinates;
+    
+    throw new Error('Geometry must be a Polygon or MultiPolygon, or an [minX, minY, maxX, maxY] extent');
   }
   
+  // ===== PLAYBACK =====
+  
   /**
-   * Get supported zoom levels
+   * Start or resume stepping through time. Calling play() while playing applies the new options.
+   * Dispatches 'playbackstart', then 'playbackframe' for every frame.
+   * @param {Object} [options]
+   * @param {number} [options.fps=2] Frames per second
+   * @param {boolean} [options.loop=true] Start over (or bounce back) at the end of the range
+   * @param {boolean} [options.bounce=false] Reverse direction at the ends instead of jumping back
+   * @param {Array<number>} [options.range] [start, end] time indices to play, defaults to all
+   * @param {boolean} [options.waitForTiles=false] Only move on once the current frame's tiles have loaded
    */
-  getSupportedZoomLevels() {
-    return [...this.config_.zoomLevels];
+  play(options = {}) {
+    const { fps, loop, bounce, range, waitForTiles } = { ...PLAYBACK_DEFAULTS, ...options };
+    const lastIndex = this.timestamps_.length - 1;
+    
+    if (lastIndex < 1) {
+      throw new Error('Playback requires at least two timesteps');
+    }
+    
+    if (typeof fps !== 'number' || !Number.isFinite(fps) || fps <= 0) {
+      throw new Error(`Playback fps must be a positive number, got ${fps}`);
+    }
+    
+    const [start, end] = range || [0, lastIndex];
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > lastIndex || start >= end) {
+      throw new Error(`Playback range must be [start, end] time indices with 0 <= start < end <= ${lastIndex}`);
+    }
+    
+    this._clearPlaybackTimer();
+    this.playback_ = {
+      fps, loop, bounce, waitForTiles,
+      start, end,
+      direction: this.playback_?.direction ?? 1,
+      reversed: this.playback_?.reversed ?? false,  // Bounced once, used to end non-looping bounce
+      timer: null,
+      waiting: false  // Frame interval elapsed, waiting for tiles
+    };
+    
+    if (this.currentTimeIndex_ < start || this.currentTimeIndex_ > end) {
+      this.setCurrentTimeIndex(start);
+    }
+    
+    this._log(`Playback started: ${fps} fps, range [${start}, ${end}], loop ${loop}, bounce ${bounce}, waitForTiles ${waitForTiles}`);
+    this._dispatchPlaybackEvent(PLAYBACK_EVENTS.START);
+    this._schedulePlaybackFrame();
   }
   
   /**
-   * Get resolutions
+   * Pause playback at the current frame
    */
-  getResolutions() {
-    return [...this.config_.resolutions];
+  pause() {
+    if (!this.playback_) return;
+    
+    this._clearPlaybackTimer();
+    this.playback_ = null;
+    this._log('Playback paused at time index', this.currentTimeIndex_);
+    this._dispatchPlaybackEvent(PLAYBACK_EVENTS.PAUSE);
   }
   
   /**
-   * Get extent
+   * Stop playback and return to the first frame of the range
    */
-  getExtent() {
-    return [...this.config_.extent];
+  stop() {
+    const start = this.playback_?.start ?? 0;
+    
+    this._clearPlaybackTimer();
+    this.playback_ = null;
+    this.setCurrentTimeIndex(start);
+    this._log('Playback stopped');
+    this._dispatchPlaybackEvent(PLAYBACK_EVENTS.STOP);
   }
   
   /**
-   * Get CRS
+   * Check whether playback is running
    */
-  getCRS() {
-    return this.config_.crs;
+  isPlaying() {
+    return this.playback_ !== null;
   }
   
   /**
-   * Check if verbose logging is enabled
+   * Change the playback speed without restarting
+   * @param {number} fps Frames per second
    */
-  isVerbose() {
-    return this.verbose_;
+  setPlaybackSpeed(fps) {
+    if (typeof fps !== 'number' || !Number.isFinite(fps) || fps <= 0) {
+      throw new Error(`Playback fps must be a positive number, got ${fps}`);
+    }
+    
+    if (this.playback_) {
+      this.playback_.fps = fps;
+    }
   }
   
   /**
-   * Move to the next timestep (caps at last timestep if at boundary)
-   * @return {boolean} True if index changed, false if already at last timestep
+   * Wait one frame interval, then move on (or wait for tiles first)
+   * @private
    */
-  nextTimestep() {
-    if (this.currentTimeIndex_ < this.timestamps_.length - 1) {
-      this.setCurrentTimeIndex(this.currentTimeIndex_ + 1);
-      return true;
-    }
-    return false; // Already at last timestep
+  _schedulePlaybackFrame() {
+    const playback = this.playback_;
+    
+    playback.timer = setTimeout(() => {
+      playback.timer = null;
+      if (playback.waitForTiles && this.loadingTiles_ > 0) {
+        playback.waiting = true;
+        return;
+      }
+      this._advancePlayback();
+    }, 1000 / playback.fps);
   }
-
+  
   /**
-   * Move to the previous timestep (caps at first timestep if at boundary)
-   * @return {boolean} True if index changed, false if already at first timestep
+   * Move on to a frame that was waiting for its tiles
+   * @private
    */
-  previousTimestep() {
-    if (this.currentTimeIndex_ > 0) {
-      this.setCurrentTimeIndex(this.currentTimeIndex_ - 1);
-      return true;
+  _onPlaybackTilesLoaded() {
+    if (this.playback_?.waiting && this.loadingTiles_ === 0) {
+      this.playback_.waiting = false;
+      this._advancePlayback();
     }
-    return false; // Already at first timestep
   }
-
+  
   /**
-   * Move forward by n timesteps (caps at last timestep if would exceed)
-   * @param {number} n Number of timesteps to move forward
-   * @return {boolean} True if index changed, false if already at target position
+   * Step to the next frame, handling loop, bounce and the end of the range
+   * @private
    */
-  nextTimesteps(n) {
-    if (typeof n !== 'number' || !Number.isInteger(n)) {
-      throw new Error('Number of timesteps must be an integer');
+  _advancePlayback() {
+    const playback = this.playback_;
+    let next = this.currentTimeIndex_ + playback.direction;
+    
+    if (next < playback.start || next > playback.end) {
+      if (playback.bounce && (playback.loop || !playback.reversed)) {
+        playback.direction = -playback.direction;
+        playback.reversed = true;
+        next = this.currentTimeIndex_ + playback.direction;
+      } else if (playback.loop) {
+        next = playback.direction > 0 ? playback.start : playback.end;
+      } else {
+        this.playback_ = null;
+        this._log('Playback reached the end of the range');
+        this._dispatchPlaybackEvent(PLAYBACK_EVENTS.END);
+        return;
+      }
     }
     
-    if (n < 0) {
-      throw new Error('Number of timesteps must be non-negative. Use previousTimesteps() for backward movement.');
-    }
+    this.setCurrentTimeIndex(next);
+    this._dispatchPlaybackEvent(PLAYBACK_EVENTS.FRAME);
     
-    if (n === 0) {
-      return false; // No movement requested
+    // Listeners may have paused or restarted playback
+    if (this.playback_ === playback) {
+      this._schedulePlaybackFrame();
     }
-    
-    const targetIndex = Math.min(this.currentTimeIndex_ + n, this.timestamps_.length - 1);
-    
-    if (targetIndex !== this.currentTimeIndex_) {
-      this.setCurrentTimeIndex(targetIndex);
-      return true;
+  }
+  
+  /**
+   * Clear the pending frame timer
+   * @private
+   */
+  _clearPlaybackTimer() {
+    if (this.playback_?.timer) {
+      clearTimeout(this.playback_.timer);
+      this.playback_.timer = null;
     }
-    
-    return false; // Already at target position
+  }
+  
+  /**
+   * Dispatch a playback event for the current frame
+   * @private
+   */
+  _dispatchPlaybackEvent(type) {
+    this.dispatchEvent(new ZarrPlaybackEvent(type, this.currentTimeIndex_, this.getCurrentTime()));
   }
 
   /**
-   * Move backward by n timesteps (caps at first timestep if would exceed)
-   * @param {number} n Number of timesteps to move backward
-   * @return {boolean} True if index changed, false if already at target position
+   * Get worker pool usage, including the number of queued jobs
+   * @return {Object} {maxWorkers, workers, busy, idle, queued}
    */
-  previousTimesteps(n) {
-    if (typeof n !== 'number' || !Number.isInteger(n)) {
-      throw new Error('Number of timesteps must be an integer');
-    }
-    
-    if (n < 0) {
-      throw new Error('Number of timesteps must be non-negative. Use nextTimesteps() for forward movement.');
-    }
-    
-    if (n === 0) {
-      return false; // No movement requested
-    }
-    
-    const targetIndex = Math.max(this.currentTimeIndex_ - n, 0);
-    
-    if (targetIndex !== this.currentTimeIndex_) {
-      this.setCurrentTimeIndex(targetIndex);
-      return true;
-    }
-    
-    return false; // Already at target position
+  getWorkerPoolStatus() {
+    return this.workerPool_.getStatus();
   }
 
   /**
@@ -2644,7 +5921,8 @@ export default class ZarrTile extends DataTile {
       hasStatistics: this.resolvedCache_.statistics !== null,
       hasNormalization: this.resolvedCache_.normalization !== null,
       hasDisplayRenderParams: this.resolvedCache_.displayRenderParams !== null,
-      renderConfiguration: this.getRenderConfiguration()
+      renderConfiguration: this.getRenderConfiguration(),
+      chunkCache: ZarrTile.getChunkCacheStatus()
     };
   }
 }
\ No newline at end of file
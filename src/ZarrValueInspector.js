@@ -0,0 +1,187 @@
+import Control from 'ol/control/Control.js';
+import { transform } from 'ol/proj.js';
+import { unByKey } from 'ol/Observable.js';
+
+/**
+ * Delay after the pointer stops before values are read (ms)
+ */
+const DEFAULT_DELAY = 100;
+
+/**
+ * OpenLayers control that shows the values of a ZarrTile source under the pointer.
+ *
+ * Values come from ZarrTile.getValueAtCoordinate() at the zoom level the tiles are
+ * drawn from, so they are the unnormalized data values. A read still in flight is
+ * cancelled when the pointer moves on. The control is hidden while the pointer is
+ * off the map or outside the data.
+ */
+export default class ZarrValueInspector extends Control {
+
+  /**
+   * @param {Object} options
+   * @param {import('./ZarrTile.js').default} options.source Source to read values from
+   * @param {Array<number>} [options.bands] Band indices, defaults to the source's current bands
+   * @param {number} [options.delay=100] Delay after the pointer stops before reading (ms)
+   * @param {Function} [options.format] Builds the content from a getValueAtCoordinate() result,
+   *   returning a string or an HTMLElement
+   * @param {string} [options.className='ol-zarr-value-inspector'] CSS class of the control element
+   * @param {HTMLElement|string} [options.target] Element to render the control into, outside the map
+   */
+  constructor(options) {
+    const element = document.createElement('div');
+    element.className = `${options.className || 'ol-zarr-value-inspector'} ol-unselectable ol-control`;
+    element.style.display = 'none';
+
+    super({ element, target: options.target });
+
+    this.source_ = options.source;
+    this.bands_ = options.bands || null;
+    this.delay_ = options.delay ?? DEFAULT_DELAY;
+    this.format_ = options.format || ZarrValueInspector.defaultFormat;
+
+    this.timer_ = null;
+    this.controller_ = null;
+    this.listenerKeys_ = [];
+    this.onMouseLeave_ = () => this._clear();
+  }
+
+  /**
+   * Default content: one "Band N: value" line per band, NODATA for missing values and
+   * the class label after the value of categorical data
+   * @param {Object} result getValueAtCoordinate() result
+   * @return {string}
+   */
+  static defaultFormat(result) {
+    return result.values.map(({ band, value, nodata, label }) => {
+      const text = nodata ? 'NODATA' : (Number.isInteger(value) ? String(value) : value.toPrecision(6));
+      return `Band ${band}: ${text}${!nodata && label ? ` (${label})` : ''}`;
+    }).join('\n');
+  }
+
+  /**
+   * Change the source values are read from
+   */
+  setSource(source) {
+    this.source_ = source;
+    this._clear();
+  }
+
+  /**
+   * Change the bands shown, null for the source's current bands
+   */
+  setBands(bands) {
+    this.bands_ = bands;
+  }
+
+  /**
+   * @param {import('ol/Map.js').default|null} map
+   */
+  setMap(map) {
+    const oldMap = this.getMap();
+    if (oldMap) {
+      unByKey(this.listenerKeys_);
+      this.listenerKeys_ = [];
+      oldMap.getViewport().removeEventListener('mouseleave', this.onMouseLeave_);
+      this._clear();
+    }
+
+    super.setMap(map);
+
+    if (map) {
+      this.listenerKeys_.push(map.on('pointermove', (e) => {
+        if (!e.dragging) this._schedule(e.coordinate);
+      }));
+      map.getViewport().addEventListener('mouseleave', this.onMouseLeave_);
+    }
+  }
+
+  /**
+   * Read the values once the pointer has rested for the delay
+   * @private
+   */
+  _schedule(coordinate) {
+    this._cancel();
+    this.timer_ = setTimeout(() => {
+      this.timer_ = null;
+      this._read(coordinate);
+    }, this.delay_);
+  }
+
+  /**
+   * Read and show the values under a view coordinate
+   * @private
+   */
+  async _read(coordinate) {
+    const map = this.getMap();
+    if (!map || !this.source_) return;
+
+    const view = map.getView();
+    const controller = new AbortController();
+    this.controller_ = controller;
+
+    try {
+      const result = await this.source_.getValueAtCoordinate(
+        transform(coordinate, view.getProjection(), this.source_.getProjection()),
+        {
+          bands: this.bands_ || undefined,
+          resolution: view.getResolution(),
+          signal: controller.signal
+        }
+      );
+
+      if (controller.signal.aborted) return;
+      this._render(result);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        this._render(null);
+      }
+    } finally {
+      if (this.controller_ === controller) {
+        this.controller_ = null;
+      }
+    }
+  }
+
+  /**
+   * Show a result, or hide the control without one
+   * @private
+   */
+  _render(result) {
+    if (!result) {
+      this.element.style.display = 'none';
+      this.element.replaceChildren();
+      return;
+    }
+
+    const content = this.format_(result);
+    if (typeof content === 'string') {
+      this.element.style.whiteSpace = 'pre';
+      this.element.textContent = content;
+    } else {
+      this.element.replaceChildren(content);
+    }
+    this.element.style.display = '';
+  }
+
+  /**
+   * Cancel the pending or running read
+   * @private
+   */
+  _cancel() {
+    if (this.timer_) {
+      clearTimeout(this.timer_);
+      this.timer_ = null;
+    }
+    this.controller_?.abort();
+    this.controller_ = null;
+  }
+
+  /**
+   * Cancel reads and hide the control
+   * @private
+   */
+  _clear() {
+    this._cancel();
+    this._render(null);
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Bounded pool of tile workers with a job queue.
+ *
+ * At most `maxWorkers` workers exist at any time. A job acquires a worker,
+ * posts its messages and releases the worker when done; when all workers are
+ * busy, jobs wait in a queue ordered by priority (higher first), then FIFO.
+ * Jobs whose signal aborts while queued are dropped without ever running.
+ * A worker that fails is discarded, freeing its slot for a new one.
+ */
+export default class ZarrWorkerPool {
+
+  /**
+   * @param {Object} options
+   * @param {string|URL} options.workerUrl URL of the worker module
+   * @param {number} options.maxWorkers Hard limit of concurrent workers
+   */
+  constructor({ workerUrl, maxWorkers }) {
+    this.workerUrl = workerUrl;
+    this.maxWorkers = maxWorkers;
+
+    this.workers_ = new Set();  // All live workers, idle or busy
+    this.idle_ = [];
+    this.queue_ = [];
+    this.running_ = new Map();  // Busy workers to the function failing their job
+    this.nextSequence_ = 0;
+  }
+
+  /**
+   * Get a worker for a job, waiting in the queue if the pool is at its limit
+   * @param {Object} [options]
+   * @param {number} [options.priority=0] Jobs with higher priority leave the queue first
+   * @param {AbortSignal} [options.signal] Drops the job from the queue when aborted
+   * @return {Promise<Worker>} Worker to release() when the job is done
+   */
+  acquire({ priority = 0, signal = null } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    if (this.idle_.length > 0) {
+      return Promise.resolve(this.idle_.pop());
+    }
+
+    if (this.workers_.size < this.maxWorkers) {
+      return Promise.resolve(this._createWorker());
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { priority, sequence: this.nextSequence_++, resolve, reject, signal, onAbort: null };
+
+      if (signal) {
+        job.onAbort = () => {
+          this._removeFromQueue(job);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      this.queue_.push(job);
+    });
+  }
+
+  /**
+   * Give a worker back, handing it to the next queued job if there is one
+   * @param {Worker} worker Worker obtained from acquire()
+   */
+  release(worker) {
+    this.running_.delete(worker);
+    if (!this.workers_.has(worker)) return;
+
+    const job = this._takeNextJob();
+    if (job) {
+      job.resolve(worker);
+    } else {
+      this.idle_.push(worker);
+    }
+  }
+
+  /**
+   * Register the job running on an acquired worker, failed with an error if the pool is
+   * terminated before the worker is released or discarded
+   * @param {Worker} worker Worker obtained from acquire()
+   * @param {function(Error)} fail Rejects the job
+   */
+  track(worker, fail) {
+    if (this.workers_.has(worker)) {
+      this.running_.set(worker, fail);
+    }
+  }
+
+  /**
+   * Terminate a worker that failed instead of giving it back, so the next job gets a new one
+   * @param {Worker} worker Worker obtained from acquire()
+   */
+  discard(worker) {
+    this.running_.delete(worker);
+    if (!this.workers_.delete(worker)) return;
+
+    worker.terminate();
+    const index = this.idle_.indexOf(worker);
+    if (index !== -1) {
+      this.idle_.splice(index, 1);
+    }
+
+    const job = this._takeNextJob();
+    if (job) {
+      job.resolve(this._createWorker());
+    }
+  }
+
+  /**
+   * Send a message to every live worker, idle or busy
+   */
+  broadcast(message) {
+    for (const worker of this.workers_) {
+      worker.postMessage(message);
+    }
+  }
+
+  /**
+   * Terminate all workers and reject running and queued jobs
+   */
+  terminate() {
+    for (const worker of this.workers_) {
+      worker.terminate();
+    }
+    this.workers_.clear();
+    this.idle_ = [];
+
+    const running = [...this.running_.values()];
+    this.running_.clear();
+    for (const fail of running) {
+      fail(new Error('Worker pool terminated'));
+    }
+
+    const queue = this.queue_;
+    this.queue_ = [];
+    for (const job of queue) {
+      job.signal?.removeEventListener('abort', job.onAbort);
+      job.reject(new Error('Worker pool terminated'));
+    }
+  }
+
+  /**
+   * Get the number of jobs waiting for a worker
+   */
+  getQueueDepth() {
+    return this.queue_.length;
+  }
+
+  /**
+   * Get pool usage for diagnostics
+   * @return {Object} {maxWorkers, workers, busy, idle, queued}
+   */
+  getStatus() {
+    return {
+      maxWorkers: this.maxWorkers,
+      workers: this.workers_.size,
+      busy: this.workers_.size - this.idle_.length,
+      idle: this.idle_.length,
+      queued: this.queue_.length
+    };
+  }
+
+  /**
+   * Start a new worker counted against the limit
+   * @private
+   */
+  _createWorker() {
+    const worker = new Worker(this.workerUrl, { type: 'module' });
+    this.workers_.add(worker);
+    return worker;
+  }
+
+  /**
+   * Remove and return the queued job with the highest priority, oldest first
+   * @private
+   */
+  _takeNextJob() {
+    if (this.queue_.length === 0) return null;
+
+    let next = this.queue_[0];
+    for (const job of this.queue_) {
+      if (job.priority > next.priority || (job.priority === next.priority && job.sequence < next.sequence)) {
+        next = job;
+      }
+    }
+
+    this._removeFromQueue(next);
+    next.signal?.removeEventListener('abort', next.onAbort);
+    return next;
+  }
+
+  /**
+   * Remove a job from the queue
+   * @private
+   */
+  _removeFromQueue(job) {
+    const index = this.queue_.indexOf(job);
+    if (index !== -1) {
+      this.queue_.splice(index, 1);
+    }
+  }
+}
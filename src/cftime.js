@@ -0,0 +1,195 @@
+/**
+ * CF calendars. gregorian is an alias of standard, 365_day of noleap and 366_day of all_leap.
+ */
+export const CALENDARS = {
+  STANDARD: 'standard',                     // Julian before 1582-10-15, Gregorian from then on
+  PROLEPTIC_GREGORIAN: 'proleptic_gregorian',
+  JULIAN: 'julian',
+  NOLEAP: 'noleap',                         // Every year has 365 days
+  ALL_LEAP: 'all_leap',                     // Every year has 366 days
+  DAYS_360: '360_day'                       // 12 months of 30 days
+};
+
+const CALENDAR_ALIASES = {
+  gregorian: CALENDARS.STANDARD,
+  '365_day': CALENDARS.NOLEAP,
+  '366_day': CALENDARS.ALL_LEAP
+};
+
+/**
+ * Calendars of real days, whose dates are instants; model calendars (noleap, all_leap,
+ * 360_day) only have calendar dates
+ */
+const REAL_CALENDARS = [CALENDARS.STANDARD, CALENDARS.PROLEPTIC_GREGORIAN, CALENDARS.JULIAN];
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Time units by UDUNITS name or abbreviation, in milliseconds; months and years are counted
+ * as calendar months
+ */
+const UNITS = {
+  ms: 1, msec: 1, msecs: 1, millisecond: 1, milliseconds: 1,
+  s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+  min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+  h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+  d: MS_PER_DAY, day: MS_PER_DAY, days: MS_PER_DAY,
+  month: 'month', months: 'month',
+  year: 'year', years: 'year'
+};
+
+const MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const REFERENCE_PATTERN = /^(-?\d{1,4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(\d{1,2}):(\d{1,2})(?::(\d{1,2}(?:\.\d*)?))?)?\s*(Z|UTC|GMT|[+-]\d{1,2}(?::?\d{2})?)?$/i;
+
+/**
+ * Parse CF time units such as "days since 1950-01-01" or "seconds since 1970-01-01T00:00:00Z"
+ * @return {Object} {unit: milliseconds per unit, or 'month' / 'year', reference: {year, month,
+ *   day, time}} with time the milliseconds since midnight UTC of the reference day
+ */
+export function parseTimeUnits(units) {
+  const match = typeof units === 'string' ? /^\s*(\w+)\s+since\s+(.+?)\s*$/i.exec(units) : null;
+  const unit = match ? UNITS[match[1].toLowerCase()] : undefined;
+  const date = match ? REFERENCE_PATTERN.exec(match[2]) : null;
+
+  if (unit === undefined || !date) {
+    throw new Error(`invalid time units ${JSON.stringify(units)}, expected "<days|hours|...> since <yyyy-mm-dd[ hh:mm:ss]>"`);
+  }
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0, zone] = date;
+  let offset = 0;
+  if (zone && /^[+-]/.test(zone)) {
+    const [, sign, hours, minutes = 0] = /^([+-])(\d{1,2}):?(\d{2})?$/.exec(zone);
+    offset = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60000;
+  }
+
+  return {
+    unit,
+    reference: {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      time: (Number(hour) * 3600 + Number(minute) * 60 + Number(second)) * 1000 - offset
+    }
+  };
+}
+
+/**
+ * Create a function decoding CF time values to Dates.
+ *
+ * Dates of model calendars (noleap, all_leap, 360_day) are placed on the same calendar day,
+ * so a year of daily noleap values has no Feb 29; days a Gregorian month does not have, such
+ * as Feb 30 of 360_day calendars, fall on its last day.
+ * @param {string} units CF units, e.g. "days since 1950-01-01"
+ * @param {string} [calendar='standard'] CF calendar
+ * @return {function(number): Date}
+ */
+export function createTimeDecoder(units, calendar = CALENDARS.STANDARD) {
+  const resolved = CALENDAR_ALIASES[String(calendar).toLowerCase()] ?? String(calendar).toLowerCase();
+  if (!Object.values(CALENDARS).includes(resolved)) {
+    throw new Error(`unsupported calendar ${JSON.stringify(calendar)}, expected one of ${[...Object.values(CALENDARS), ...Object.keys(CALENDAR_ALIASES)].join(', ')}`);
+  }
+
+  const { unit, reference } = parseTimeUnits(units);
+  const real = REAL_CALENDARS.includes(resolved);
+
+  // Whole months or years are added to the reference month, keeping its day where it exists
+  if (typeof unit === 'string') {
+    return (value) => {
+      if (!Number.isInteger(value)) {
+        throw new Error(`${unit}s since a date must be whole numbers, got ${value}`);
+      }
+      const months = reference.year * 12 + reference.month - 1 + (unit === 'year' ? value * 12 : value);
+      const year = Math.floor(months / 12);
+      const month = months - year * 12 + 1;
+      const day = Math.min(reference.day, monthLength(resolved, year, month));
+      return real ?
+        new Date(dayNumber(resolved, year, month, day) * MS_PER_DAY + reference.time) :
+        gregorianDate(year, month, day, reference.time);
+    };
+  }
+
+  const start = dayNumber(resolved, reference.year, reference.month, reference.day) * MS_PER_DAY + reference.time;
+
+  if (real) {
+    return (value) => new Date(start + value * unit);
+  }
+
+  return (value) => {
+    const elapsed = start + value * unit;
+    const days = Math.floor(elapsed / MS_PER_DAY);
+    const [year, month, day] = modelCalendarDate(resolved, days);
+    return gregorianDate(year, month, day, elapsed - days * MS_PER_DAY);
+  };
+}
+
+/**
+ * Days in a month of a calendar
+ * @private
+ */
+function monthLength(calendar, year, month) {
+  switch (calendar) {
+    case CALENDARS.DAYS_360:
+      return 30;
+    case CALENDARS.NOLEAP:
+      return MONTH_DAYS[month - 1];
+    case CALENDARS.ALL_LEAP:
+      return month === 2 ? 29 : MONTH_DAYS[month - 1];
+    default: {
+      const gregorian = calendar === CALENDARS.PROLEPTIC_GREGORIAN || (calendar === CALENDARS.STANDARD && year > 1582);
+      const leap = gregorian ? (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 : year % 4 === 0;
+      return month === 2 && leap ? 29 : MONTH_DAYS[month - 1];
+    }
+  }
+}
+
+/**
+ * Day number of a calendar date: days since 1970-01-01 for real calendars, days since
+ * year 0 for model calendars
+ * @private
+ */
+function dayNumber(calendar, year, month, day) {
+  if (!REAL_CALENDARS.includes(calendar)) {
+    const yearLength = calendar === CALENDARS.DAYS_360 ? 360 : calendar === CALENDARS.NOLEAP ? 365 : 366;
+    let days = year * yearLength + day - 1;
+    for (let m = 1; m < month; m++) days += monthLength(calendar, year, m);
+    return days;
+  }
+
+  // Julian day number (Fliegel and Van Flandern), then days since the Unix epoch (JDN 2440588)
+  const a = Math.floor((14 - month) / 12);
+  const y = year + 4800 - a;
+  const m = month + 12 * a - 3;
+  const gregorian = calendar === CALENDARS.PROLEPTIC_GREGORIAN ||
+    (calendar === CALENDARS.STANDARD && (year * 10000 + month * 100 + day) >= 15821015);
+  const jdn = day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) +
+    (gregorian ? -Math.floor(y / 100) + Math.floor(y / 400) - 32045 : -32083);
+  return jdn - 2440588;
+}
+
+/**
+ * Calendar date [year, month, day] of a model calendar day number
+ * @private
+ */
+function modelCalendarDate(calendar, days) {
+  const yearLength = calendar === CALENDARS.DAYS_360 ? 360 : calendar === CALENDARS.NOLEAP ? 365 : 366;
+  const year = Math.floor(days / yearLength);
+  let day = days - year * yearLength;
+  let month = 1;
+  while (day >= monthLength(calendar, year, month)) {
+    day -= monthLength(calendar, year, month);
+    month++;
+  }
+  return [year, month, day + 1];
+}
+
+/**
+ * Date of a calendar date and time of day, on the last day of the Gregorian month
+ * when the month is shorter
+ * @private
+ */
+function gregorianDate(year, month, day, time) {
+  const days = dayNumber(CALENDARS.PROLEPTIC_GREGORIAN, year, month,
+    Math.min(day, monthLength(CALENDARS.PROLEPTIC_GREGORIAN, year, month)));
+  return new Date(days * MS_PER_DAY + time);
+}
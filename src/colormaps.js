@@ -0,0 +1,182 @@
+/**
+ * Named color ramps as evenly spaced stops: matplotlib's perceptually uniform maps and
+ * ColorBrewer schemes. Append _r to a name for the reversed ramp, as in matplotlib.
+ */
+export const COLORMAPS = {
+  // Perceptually uniform (matplotlib)
+  viridis: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'],
+  magma: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf'],
+  inferno: ['#000004', '#1f0c48', '#550f6d', '#88226a', '#ba3655', '#e35933', '#f98e09', '#f9cb35', '#fcffa4'],
+  plasma: ['#0d0887', '#4c02a1', '#7e03a8', '#a92395', '#cc4778', '#e56b5d', '#f89540', '#fdc527', '#f0f921'],
+
+  // Diverging (ColorBrewer)
+  RdYlGn: ['#a50026', '#d73027', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#d9ef8b', '#a6d96a', '#66bd63', '#1a9850', '#006837'],
+  RdBu: ['#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac', '#053061'],
+  Spectral: ['#9e0142', '#d53e4f', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#e6f598', '#abdda4', '#66c2a5', '#3288bd', '#5e4fa2'],
+  BrBG: ['#543005', '#8c510a', '#bf812d', '#dfc27d', '#f6e8c3', '#f5f5f5', '#c7eae5', '#80cdc1', '#35978f', '#01665e', '#003c30'],
+
+  // Sequential (ColorBrewer)
+  Greens: ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b'],
+  Blues: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'],
+  YlGnBu: ['#ffffd9', '#edf8b1', '#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#253494', '#081d58'],
+  YlOrRd: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'],
+  Greys: ['#ffffff', '#f0f0f0', '#d9d9d9', '#bdbdbd', '#969696', '#737373', '#525252', '#252525', '#000000']
+};
+
+/**
+ * Qualitative palette (matplotlib tab10) for categories without colors, cycled
+ */
+export const CATEGORY_COLORS = [
+  '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'
+];
+
+/**
+ * Colormap types: colors interpolated between stops, or constant from a stop to the next
+ */
+export const COLORMAP_TYPES = {
+  LINEAR: 'linear',
+  DISCRETE: 'discrete'
+};
+
+/**
+ * Number of colors in a lookup table, one per display value
+ */
+export const COLORMAP_LUT_SIZE = 256;
+
+/**
+ * Parse a color given as '#rgb', '#rrggbb', '#rrggbbaa' or an [r, g, b] / [r, g, b, a] array
+ * with alpha from 0 to 1, as in OpenLayers styles
+ * @return {Array<number>} [r, g, b, a], all 0-255
+ */
+export function parseColor(color) {
+  if (typeof color === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color)) {
+    const hex = color.length === 4 ? [...color.slice(1)].map(c => c + c).join('') : color.slice(1);
+    const [r, g, b, a = 255] = hex.match(/../g).map(pair => parseInt(pair, 16));
+    return [r, g, b, a];
+  }
+
+  if (Array.isArray(color) && (color.length === 3 || color.length === 4) &&
+      color.every(c => typeof c === 'number' && Number.isFinite(c))) {
+    const [r, g, b, a = 1] = color;
+    if ([r, g, b].every(c => c >= 0 && c <= 255) && a >= 0 && a <= 1) {
+      return [r, g, b, Math.round(a * 255)];
+    }
+  }
+
+  throw new Error(`invalid color ${JSON.stringify(color)}, expected '#rrggbb' or [r, g, b, a]`);
+}
+
+/**
+ * Resolve a colormap option to sorted stops in normalized positions [0, 1].
+ *
+ * Accepts a ramp name ('viridis', 'RdYlGn_r'), or an object with either name (and optional
+ * reverse) or stops [[position, color], ...], plus type ('linear' or 'discrete') and, for
+ * named discrete ramps, steps (number of classes, default: the ramp's colors).
+ * @return {Object} {stops: [{position, color: [r, g, b, a]}], type}
+ */
+export function resolveColormap(colormap) {
+  const options = typeof colormap === 'string' ? { name: colormap } : colormap;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('must be a colormap name or an object with name or stops');
+  }
+
+  const type = options.type ?? COLORMAP_TYPES.LINEAR;
+  if (!Object.values(COLORMAP_TYPES).includes(type)) {
+    throw new Error(`type must be one of ${Object.values(COLORMAP_TYPES).join(', ')}, got ${type}`);
+  }
+
+  if (options.stops !== undefined) {
+    if (options.name !== undefined) {
+      throw new Error('takes either name or stops');
+    }
+    if (!Array.isArray(options.stops) || options.stops.length < 2) {
+      throw new Error('stops must be an array of at least 2 [position, color] pairs');
+    }
+
+    const stops = options.stops.map((stop) => {
+      if (!Array.isArray(stop) || stop.length !== 2 || typeof stop[0] !== 'number' || !(stop[0] >= 0 && stop[0] <= 1)) {
+        throw new Error(`stop ${JSON.stringify(stop)} must be a [position, color] pair with position between 0 and 1`);
+      }
+      return { position: stop[0], color: parseColor(stop[1]) };
+    });
+
+    return { stops: stops.sort((a, b) => a.position - b.position), type };
+  }
+
+  let name = options.name;
+  let reverse = options.reverse ?? false;
+  if (typeof name === 'string' && name.endsWith('_r') && !Object.hasOwn(COLORMAPS, name)) {
+    name = name.slice(0, -2);
+    reverse = !reverse;
+  }
+  if (!Object.hasOwn(COLORMAPS, name)) {
+    throw new Error(`unknown colormap ${options.name}, available: ${Object.keys(COLORMAPS).join(', ')}`);
+  }
+
+  let colors = COLORMAPS[name].map(parseColor);
+  if (reverse) colors = colors.reverse();
+
+  if (type === COLORMAP_TYPES.LINEAR) {
+    return { stops: colors.map((color, i) => ({ position: i / (colors.length - 1), color })), type };
+  }
+
+  // Discrete: `steps` equal classes, colored by sampling the linear ramp at the class index
+  const steps = options.steps ?? colors.length;
+  if (!Number.isInteger(steps) || steps < 2 || steps > COLORMAP_LUT_SIZE) {
+    throw new Error(`steps must be an integer between 2 and ${COLORMAP_LUT_SIZE}, got ${steps}`);
+  }
+  const ramp = colors.map((color, i) => ({ position: i / (colors.length - 1), color }));
+  return {
+    stops: Array.from({ length: steps }, (_, i) => ({
+      position: i / steps,
+      color: sampleStops(ramp, i / (steps - 1))
+    })),
+    type
+  };
+}
+
+/**
+ * Color of linearly interpolated stops at a position
+ * @private
+ */
+function sampleStops(stops, position) {
+  if (position <= stops[0].position) return [...stops[0].color];
+
+  for (let i = 1; i < stops.length; i++) {
+    const upper = stops[i];
+    if (position <= upper.position) {
+      const lower = stops[i - 1];
+      const t = upper.position === lower.position ? 1 : (position - lower.position) / (upper.position - lower.position);
+      return lower.color.map((c, channel) => Math.round(c + (upper.color[channel] - c) * t));
+    }
+  }
+
+  return [...stops[stops.length - 1].color];
+}
+
+/**
+ * Build an RGBA lookup table of COLORMAP_LUT_SIZE colors from resolved stops, indexed by
+ * Math.round(value * (COLORMAP_LUT_SIZE - 1)) for normalized values. Discrete colormaps
+ * take the color of the last stop at or below the value (the first stop's color below it).
+ * @param {Object} colormap Resolved colormap {stops, type}
+ * @return {Uint8ClampedArray}
+ */
+export function createColormapLUT({ stops, type }) {
+  const lut = new Uint8ClampedArray(COLORMAP_LUT_SIZE * 4);
+
+  for (let i = 0; i < COLORMAP_LUT_SIZE; i++) {
+    const position = i / (COLORMAP_LUT_SIZE - 1);
+    let color;
+
+    if (type === COLORMAP_TYPES.DISCRETE) {
+      const stop = stops.findLast(s => s.position <= position) || stops[0];
+      color = stop.color;
+    } else {
+      color = sampleStops(stops, position);
+    }
+
+    lut.set(color, i * 4);
+  }
+
+  return lut;
+}
@@ -1,12 +1,38 @@
 // Enhanced zarr-worker.js with render configuration support
-import { slice, openArray } from 'https://cdn.skypack.dev/pin/zarr@v0.6.3-q9kLEdFRTtoNmWpVmNrd/mode=imports/optimized/zarr.js';
+import { slice, openArray, getCodec, KeyError } from 'https://cdn.skypack.dev/pin/zarr@v0.6.3-q9kLEdFRTtoNmWpVmNrd/mode=imports/optimized/zarr.js';
+import ZarrStore from './ZarrStore.js';
+import ZarrExpression from './ZarrExpression.js';
+import ZarrChunkCache from './ZarrChunkCache.js';
+import { COLORMAP_LUT_SIZE } from './colormaps.js';
+
+/**
+ * Value array dimensions of messages without any: [time, band, y, x]
+ */
+const DEFAULT_DIMENSIONS = ['time', 'band', 'y', 'x'];
+
+/**
+ * Selection of the value array from the selection of each dimension role
+ * ({time, band, y, x}) and the index of each extra dimension ({depth: 3}), in the order
+ * of the array's dimensions. Integer selections drop their dimension, so y and x slices
+ * read [row][column] rows.
+ */
+function selectDimensions(dimensions, selections, dimensionIndices = {}) {
+    return dimensions.map(role => selections[role] ?? dimensionIndices[role] ?? 0);
+}
+
+/**
+ * Height and width of the value array
+ */
+function getSpatialShape(shape, dimensions) {
+    return [shape[dimensions.indexOf('y')], shape[dimensions.indexOf('x')]];
+}
 
 /**
  * Calculate array indices for tile coordinates
  */
-function calculateArrayIndices(tileCoord, arrayShape, tileSize, tileRange) {
+function calculateArrayIndices(tileCoord, spatialShape, tileSize, tileRange) {
     const [z, x, y] = tileCoord;
-    const [timeSize, bandSize, arrayHeight, arrayWidth] = arrayShape;
+    const [arrayHeight, arrayWidth] = spatialShape;
 
     // Calculate array indices
     const xStart = x * tileSize;
@@ -82,6 +108,25 @@ function isNodata(value, nodataValue) {
     return value === nodataValue;
 }
 
+/**
+ * Unpack a CF packed value to physical units. NODATA and values outside the valid range
+ * are compared in packed units and become NaN.
+ */
+function unpackValue(value, { scale, offset, validRange }, nodataValue) {
+    if (value !== value || isNodata(value, nodataValue) ||
+        (validRange && (value < validRange[0] || value > validRange[1]))) {
+        return NaN;
+    }
+    return value * scale + offset;
+}
+
+/**
+ * Unpack the rows of a block, see unpackValue
+ */
+function unpackRows(rows, packing, nodataValue) {
+    return Array.from(rows, row => Float64Array.from(row, value => unpackValue(value, packing, nodataValue)));
+}
+
 /**
  * Apply NODATA strategy to value
  */
@@ -142,7 +187,12 @@ function applyDisplayStrategy(value, strategy, params) {
 /**
  * Determine output array type and channel count
  */
-function determineOutputFormat(renderType, normalization, maskNodata, bandCount) {
+function determineOutputFormat(renderType, normalization, maskNodata, bandCount, colormap = null) {
+    // Colormapped and categorical tiles are RGBA, NODATA is transparent through their alpha channel
+    if (colormap) {
+        return { ArrayType: Uint8ClampedArray, channelCount: 4, hasAlpha: false };
+    }
+
     const hasAlpha = maskNodata;
     const channelCount = hasAlpha ? bandCount + 1 : bandCount;
 
@@ -162,16 +212,774 @@ function determineOutputFormat(renderType, normalization, maskNodata, bandCount)
     return { ArrayType: Float32Array, channelCount, hasAlpha };
 }
 
+/**
+ * Requests to the main thread, pending by request id
+ */
+const pendingRequests = new Map();
+let nextRequestId = 0;
+
+/**
+ * Ask the main thread to run something that needs user functions, which cannot be sent to workers
+ */
+function requestMainThread(type, payload) {
+    const id = nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve, reject });
+        self.postMessage({ type, id, ...payload });
+    });
+}
+
+/**
+ * Settle a main-thread request with its result
+ */
+function settleMainThreadRequest({ id, result, error }) {
+    const pending = pendingRequests.get(id);
+    if (!pending) return;
+    pendingRequests.delete(id);
+
+    if (error) {
+        pending.reject(new Error(error));
+    } else {
+        pending.resolve(result);
+    }
+}
+
+/**
+ * Statuses whose responses must not have a body, Response() throws when given one
+ */
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+/**
+ * Fetch-compatible function running the request through the user's custom fetch function
+ */
+async function proxyFetch(url, init = {}) {
+    const { signal, ...cloneableInit } = init;
+    signal?.throwIfAborted();
+
+    // The main-thread request keeps running, but the job stops waiting for it
+    const request = requestMainThread('fetch', { url: String(url), init: cloneableInit });
+    const aborted = signal ? new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    }) : null;
+
+    const { status, statusText, buffer } = await (aborted ? Promise.race([request, aborted]) : request);
+    return new Response(NULL_BODY_STATUSES.includes(status) ? null : buffer, { status, statusText });
+}
+
+/**
+ * Signing hook running the user's signRequest/getToken hooks; resolves to {url, headers}
+ */
+function proxySignRequest(url, { refresh = false } = {}) {
+    return requestMainThread('authorize', { url, refresh });
+}
+
+/**
+ * Create the store for a tile request from the options sent by the main thread
+ */
+function createStore(storeUrl, zarrFormat, storeMetadata, storeOptions) {
+    const { proxyFetch: useProxy = false, proxyAuthorize = false, ...requestOptions } = storeOptions || {};
+
+    // Proxied requests get headers, query and signing applied by the main-thread store
+    if (useProxy) {
+        return new ZarrStore(storeUrl, { zarrFormat, consolidated: storeMetadata, fetch: proxyFetch });
+    }
+
+    return new ZarrStore(storeUrl, {
+        zarrFormat,
+        consolidated: storeMetadata,
+        ...requestOptions,
+        signRequest: proxyAuthorize ? proxySignRequest : null
+    });
+}
+
+/**
+ * Whether decoded chunks go through the shared cache on the main thread, updated per tile
+ */
+let chunkCacheEnabled = true;
+
+/**
+ * Store wrapper for a single array that decompresses chunks itself, so decoded chunks can be
+ * shared through the main-thread cache. zarr.js sees the array as uncompressed and still
+ * handles byte order and memory layout.
+ */
+class DecodedChunkStore {
+    constructor(store, storeUrl) {
+        this.store = store;
+        this.storeUrl = storeUrl;
+        this.compressor = null;
+    }
+
+    async getItem(key, opts) {
+        const name = key.slice(key.lastIndexOf('/') + 1);
+
+        if (name === '.zarray') {
+            const item = await this.store.getItem(key, opts);
+            const meta = item instanceof ArrayBuffer ? JSON.parse(new TextDecoder().decode(item)) : { ...item };
+            this.compressor = meta.compressor || null;
+            return { ...meta, compressor: null };
+        }
+
+        if (name === '.zattrs' || name === '.zgroup') {
+            return this.store.getItem(key, opts);
+        }
+
+        const cacheKey = ZarrChunkCache.getKey(this.storeUrl, key);
+        if (chunkCacheEnabled) {
+            const { found, buffer } = await requestMainThread('chunkGet', { key: cacheKey });
+            if (found) {
+                if (buffer === null) throw new KeyError(key);
+                return buffer;
+            }
+        }
+
+        let bytes;
+        try {
+            bytes = new Uint8Array(await this.store.getItem(key, opts));
+        } catch (error) {
+            if (error instanceof KeyError && chunkCacheEnabled) {
+                self.postMessage({ type: 'chunkPut', key: cacheKey, buffer: null });
+            }
+            throw error;
+        }
+
+        if (this.compressor) {
+            bytes = await (await getCodec(this.compressor)).decode(bytes);
+        }
+        const decoded = bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength ?
+            bytes.buffer : bytes.slice().buffer;
+
+        // Posting copies the buffer before zarr.js byte-swaps it in place
+        if (chunkCacheEnabled) {
+            self.postMessage({ type: 'chunkPut', key: cacheKey, buffer: decoded });
+        }
+        return decoded;
+    }
+
+    containsItem(key) {
+        return this.store.containsItem(key);
+    }
+}
+
+/**
+ * Opened arrays kept across tiles, keyed by source id, store URL and array path
+ */
+const arrayCache = new Map();
+const MAX_CACHED_ARRAYS = 64;
+
+/**
+ * Get an opened array from the cache or open it, so metadata is only read once per worker
+ */
+function getArray(sourceId, storeUrl, storePath, openStore) {
+    const key = `${sourceId}|${storeUrl}|${storePath}`;
+
+    if (!arrayCache.has(key)) {
+        // Evict the oldest entry when full
+        if (arrayCache.size >= MAX_CACHED_ARRAYS) {
+            arrayCache.delete(arrayCache.keys().next().value);
+        }
+
+        const store = new DecodedChunkStore(openStore(), storeUrl);
+        const request = openArray({ store, path: storePath, mode: 'r' });
+        request.catch(() => arrayCache.delete(key));
+        arrayCache.set(key, request);
+    }
+
+    return arrayCache.get(key);
+}
+
+/**
+ * Drop all cached arrays of a disposed source
+ */
+function disposeSource(sourceId) {
+    const prefix = `${sourceId}|`;
+    for (const key of [...arrayCache.keys()]) {
+        if (key.startsWith(prefix)) {
+            arrayCache.delete(key);
+        }
+    }
+}
+
+/**
+ * Abort controllers of running jobs, by job id
+ */
+const jobControllers = new Map();
+
+/**
+ * Read the values of a single pixel for each requested band, flagging NODATA.
+ * With a timeRange, each band gets the pixel's series over the inclusive range.
+ */
+async function readPixelValues(data) {
+    const {
+        row, col,
+        bands = [0],
+        timeIndex = 0,
+        timeRange = null,
+        dimensions = DEFAULT_DIMENSIONS,
+        dimensionIndices = {},
+        nodata = null,
+        packing = null,
+        storeUrl,
+        storePath,
+        zarrFormat = 2,
+        storeMetadata = null,
+        storeOptions = null,
+        sourceId = null,
+        chunkCache = true,
+        jobId = null,
+        verbose = false
+    } = data;
+
+    const controller = new AbortController();
+    jobControllers.set(jobId, controller);
+    const getOptions = { storeOptions: { signal: controller.signal } };
+
+    chunkCacheEnabled = chunkCache;
+
+    const log = verbose ? console.log.bind(console, '[ZarrWorker]') : () => { };
+
+    try {
+        const valueArray = await getArray(sourceId, storeUrl, storePath,
+            () => createStore(storeUrl, zarrFormat, storeMetadata, storeOptions));
+
+        const [arrayHeight, arrayWidth] = getSpatialShape(valueArray.meta.shape, dimensions);
+        if (row < 0 || col < 0 || row >= arrayHeight || col >= arrayWidth) {
+            self.postMessage({ success: true, outside: true });
+            return;
+        }
+
+        const timeSelection = timeRange ? slice(timeRange[0], timeRange[1] + 1) : timeIndex;
+
+        const values = await Promise.all(bands.map(async (bandIndex, i) => {
+            const result = await valueArray.get(selectDimensions(dimensions, {
+                time: timeSelection, band: bandIndex, y: row, x: col
+            }, dimensionIndices), getOptions);
+            // Without a time dimension the series is the single value
+            const value = !timeRange ? result : dimensions.includes('time') ? Array.from(result.data) : [result];
+            if (!packing) return value;
+
+            // Packed values are unpacked, NaN where NODATA or outside the valid range
+            const bandNodata = Array.isArray(nodata) ? nodata[i] : nodata;
+            return timeRange ? value.map(v => unpackValue(v, packing, bandNodata)) : unpackValue(value, packing, bandNodata);
+        }));
+
+        const nodataFlags = values.map((value, i) => {
+            const bandNodata = packing ? NaN : Array.isArray(nodata) ? nodata[i] : nodata;
+            return timeRange ? value.map(v => isNodata(v, bandNodata)) : isNodata(value, bandNodata);
+        });
+
+        log(`Read pixel (${row}, ${col}) at`, timeRange ? `time indices ${timeRange[0]}-${timeRange[1]}` : `time index ${timeIndex}`);
+        self.postMessage({ success: true, values, nodata: nodataFlags });
+    } catch (error) {
+        self.postMessage({
+            error: error.message,
+            success: false,
+            aborted: controller.signal.aborted
+        });
+    } finally {
+        jobControllers.delete(jobId);
+    }
+}
+
+/**
+ * Compiled band math expressions, keyed by band names and source
+ */
+const expressionCache = new Map();
+const MAX_CACHED_EXPRESSIONS = 64;
+
+/**
+ * Get a compiled expression from the cache or parse it
+ */
+function getExpression(source, bandNames) {
+    const key = `${bandNames ? bandNames.join(',') : ''}|${source}`;
+
+    if (!expressionCache.has(key)) {
+        if (expressionCache.size >= MAX_CACHED_EXPRESSIONS) {
+            expressionCache.delete(expressionCache.keys().next().value);
+        }
+        expressionCache.set(key, new ZarrExpression(source, { bandNames }));
+    }
+
+    return expressionCache.get(key);
+}
+
+/**
+ * Evaluate a band math expression over blocks of its input bands, given as rows in the
+ * order of channel.bands. Pixels where an input is NODATA or NaN, or where the result is
+ * not finite, become NaN.
+ */
+function evaluateExpression({ expression, bands, nodata, bandNames }, inputRows, height, width) {
+    const compiled = getExpression(expression, bandNames);
+    const bandNodata = bands.map((_, i) => Array.isArray(nodata) ? nodata[i] : nodata);
+    const values = new Array(bands.length);
+    const rows = [];
+
+    for (let y = 0; y < height; y++) {
+        const row = new Float64Array(width);
+
+        for (let x = 0; x < width; x++) {
+            let valid = true;
+            for (let i = 0; i < bands.length; i++) {
+                const value = inputRows[i][y][x];
+                if (value !== value || isNodata(value, bandNodata[i])) {
+                    valid = false;
+                    break;
+                }
+                values[i] = value;
+            }
+
+            const result = valid ? compiled.evaluate(values) : NaN;
+            row[x] = Number.isFinite(result) ? result : NaN;
+        }
+
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Reduce blocks of one channel over the timesteps of a composite, given as rows per timestep,
+ * into rows of the composite method (mean, median, min, max or percentile, with linearly
+ * interpolated percentiles). NODATA and NaN values are skipped; pixels without any valid
+ * value become NaN.
+ */
+function reduceComposite(timeRows, { method, percentile }, nodata, height, width) {
+    const values = new Float64Array(timeRows.length);
+    const p = method === 'median' ? 50 : percentile;
+    const rows = [];
+
+    for (let y = 0; y < height; y++) {
+        const row = new Float64Array(width);
+
+        for (let x = 0; x < width; x++) {
+            let count = 0;
+            for (let t = 0; t < timeRows.length; t++) {
+                const value = timeRows[t][y][x];
+                if (value === value && !isNodata(value, nodata)) {
+                    values[count++] = value;
+                }
+            }
+
+            if (count === 0) {
+                row[x] = NaN;
+                continue;
+            }
+
+            switch (method) {
+                case 'mean': {
+                    let sum = 0;
+                    for (let i = 0; i < count; i++) sum += values[i];
+                    row[x] = sum / count;
+                    break;
+                }
+                case 'min': {
+                    let min = values[0];
+                    for (let i = 1; i < count; i++) if (values[i] < min) min = values[i];
+                    row[x] = min;
+                    break;
+                }
+                case 'max': {
+                    let max = values[0];
+                    for (let i = 1; i < count; i++) if (values[i] > max) max = values[i];
+                    row[x] = max;
+                    break;
+                }
+                default: {
+                    const sorted = values.subarray(0, count).sort();
+                    const position = (p / 100) * (count - 1);
+                    const lower = Math.floor(position);
+                    const upper = Math.ceil(position);
+                    row[x] = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+                }
+            }
+        }
+
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Difference of one channel between two timesteps, value[to] - value[from], or relative to
+ * |value[from]| in 'relative' mode. Pixels that are NODATA or NaN in either timestep, or
+ * without a finite result, become NaN.
+ */
+function computeDifference(fromRows, toRows, mode, nodata, height, width) {
+    const relative = mode === 'relative';
+    const rows = [];
+
+    for (let y = 0; y < height; y++) {
+        const row = new Float64Array(width);
+
+        for (let x = 0; x < width; x++) {
+            const from = fromRows[y][x];
+            const to = toRows[y][x];
+            if (from !== from || to !== to || isNodata(from, nodata) || isNodata(to, nodata)) {
+                row[x] = NaN;
+                continue;
+            }
+
+            const result = relative ? (to - from) / Math.abs(from) : to - from;
+            row[x] = Number.isFinite(result) ? result : NaN;
+        }
+
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Rasterize polygons, each a list of rings in array pixel coordinates, over a pixel window,
+ * marking the pixels whose center is inside any of them. Each polygon is filled with the
+ * even-odd rule on its own, so that overlapping polygons do not cancel out.
+ */
+function rasterizePolygons(polygons, rowStart, colStart, height, width) {
+    const mask = new Uint8Array(height * width);
+    for (const rings of polygons) {
+        rasterizeRings(rings, rowStart, colStart, height, width, mask);
+    }
+    return mask;
+}
+
+/**
+ * Mark the pixels of a window whose center is inside the rings of one polygon, with the
+ * even-odd rule
+ */
+function rasterizeRings(rings, rowStart, colStart, height, width, mask) {
+    const crossings = [];
+
+    for (let r = 0; r < height; r++) {
+        const y = rowStart + r + 0.5;
+
+        crossings.length = 0;
+        for (const ring of rings) {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [x1, y1] = ring[j];
+                const [x2, y2] = ring[i];
+                if ((y1 > y) !== (y2 > y)) {
+                    crossings.push(x1 + (y - y1) * (x2 - x1) / (y2 - y1));
+                }
+            }
+        }
+        crossings.sort((a, b) => a - b);
+
+        // Fill columns whose center lies between each pair of crossings
+        for (let k = 0; k + 1 < crossings.length; k += 2) {
+            const first = Math.max(0, Math.ceil(crossings[k] - 0.5 - colStart));
+            const last = Math.min(width, Math.ceil(crossings[k + 1] - 0.5 - colStart));
+            mask.fill(1, r * width + first, r * width + Math.max(first, last));
+        }
+    }
+}
+
+/**
+ * Summary statistics of the first `count` values, with linearly interpolated percentiles
+ */
+function computeStatistics(values, count, percentiles) {
+    if (count === 0) {
+        return {
+            count: 0, mean: null, min: null, max: null, std: null,
+            percentiles: Object.fromEntries(percentiles.map(p => [`p${p}`, null]))
+        };
+    }
+
+    const sorted = values.subarray(0, count).sort();
+
+    let sum = 0;
+    for (let i = 0; i < count; i++) sum += sorted[i];
+    const mean = sum / count;
+
+    let squares = 0;
+    for (let i = 0; i < count; i++) squares += (sorted[i] - mean) ** 2;
+
+    const percentile = (p) => {
+        const position = (p / 100) * (count - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+
+    return {
+        count,
+        mean,
+        min: sorted[0],
+        max: sorted[count - 1],
+        std: Math.sqrt(squares / count),
+        percentiles: Object.fromEntries(percentiles.map(p => [`p${p}`, percentile(p)]))
+    };
+}
+
+/**
+ * Compute statistics of the pixels inside polygons for each band and timestep.
+ * Only the chunks intersecting the polygon's pixel window are read.
+ */
+async function computeZonalStatistics(data) {
+    const {
+        window,
+        polygons,
+        bands = [0],
+        timeRange,
+        percentiles = [],
+        dimensions = DEFAULT_DIMENSIONS,
+        dimensionIndices = {},
+        nodata = null,
+        packing = null,
+        storeUrl,
+        storePath,
+        zarrFormat = 2,
+        storeMetadata = null,
+        storeOptions = null,
+        sourceId = null,
+        chunkCache = true,
+        jobId = null,
+        verbose = false
+    } = data;
+
+    const controller = new AbortController();
+    jobControllers.set(jobId, controller);
+    const getOptions = { storeOptions: { signal: controller.signal } };
+
+    chunkCacheEnabled = chunkCache;
+
+    const log = verbose ? console.log.bind(console, '[ZarrWorker]') : () => { };
+
+    try {
+        const valueArray = await getArray(sourceId, storeUrl, storePath,
+            () => createStore(storeUrl, zarrFormat, storeMetadata, storeOptions));
+
+        // Clip the window to the array, which may be smaller than the tile grid
+        const [arrayHeight, arrayWidth] = getSpatialShape(valueArray.meta.shape, dimensions);
+        const rowStart = Math.max(0, window.row[0]);
+        const rowEnd = Math.min(arrayHeight, window.row[1]);
+        const colStart = Math.max(0, window.col[0]);
+        const colEnd = Math.min(arrayWidth, window.col[1]);
+        const height = Math.max(0, rowEnd - rowStart);
+        const width = Math.max(0, colEnd - colStart);
+
+        const mask = rasterizePolygons(polygons, rowStart, colStart, height, width);
+        let pixelCount = 0;
+        for (let i = 0; i < mask.length; i++) pixelCount += mask[i];
+
+        log(`Zonal statistics window rows ${rowStart}-${rowEnd}, cols ${colStart}-${colEnd}, ${pixelCount} pixels inside`);
+
+        const series = [];
+        for (let timeIndex = timeRange[0]; timeIndex <= timeRange[1]; timeIndex++) {
+            series.push(await Promise.all(bands.map(async (bandIndex, bandArrayIndex) => {
+                const values = new Float64Array(pixelCount);
+                if (pixelCount === 0) return computeStatistics(values, 0, percentiles);
+
+                const band = await valueArray.get(selectDimensions(dimensions, {
+                    time: timeIndex,
+                    band: bandIndex,
+                    y: slice(rowStart, rowEnd),
+                    x: slice(colStart, colEnd)
+                }, dimensionIndices), getOptions);
+                const bandNodata = Array.isArray(nodata) ? nodata[bandArrayIndex] : nodata;
+
+                let count = 0;
+                for (let y = 0; y < height; y++) {
+                    const row = band.data[y];
+                    for (let x = 0; x < width; x++) {
+                        if (!mask[y * width + x]) continue;
+                        const value = packing ? unpackValue(row[x], packing, bandNodata) : row[x];
+                        if (value === value && (packing || !isNodata(value, bandNodata))) {
+                            values[count++] = value;
+                        }
+                    }
+                }
+
+                return computeStatistics(values, count, percentiles);
+            })));
+        }
+
+        self.postMessage({ success: true, pixelCount, series });
+    } catch (error) {
+        self.postMessage({
+            error: error.message,
+            success: false,
+            aborted: controller.signal.aborted
+        });
+    } finally {
+        jobControllers.delete(jobId);
+    }
+}
+
+/**
+ * Sample one band, or one expression over its input bands, of an array on a regular grid
+ * of at most maxPixels pixels per timestep and compute its statistics per timestep, or
+ * pooled over the timesteps, or of their composite or difference. Statistics are flat objects
+ * {min, max, mean, std, p2, ...}, null without valid pixels.
+ */
+async function sampleStatistics(data) {
+    const {
+        band = null,
+        expression = null,
+        bands = [],
+        bandNames = null,
+        timeIndices,
+        composite = null,
+        difference = null,
+        perTime = false,
+        percentiles = [],
+        dimensions = DEFAULT_DIMENSIONS,
+        dimensionIndices = {},
+        maxPixels,
+        nodata = null,
+        packing = null,
+        storeUrl,
+        storePath,
+        zarrFormat = 2,
+        storeMetadata = null,
+        storeOptions = null,
+        sourceId = null,
+        chunkCache = true,
+        jobId = null,
+        verbose = false
+    } = data;
+
+    const controller = new AbortController();
+    jobControllers.set(jobId, controller);
+    const getOptions = { storeOptions: { signal: controller.signal } };
+
+    chunkCacheEnabled = chunkCache;
+
+    const log = verbose ? console.log.bind(console, '[ZarrWorker]') : () => { };
+
+    const flatten = ({ count, mean, min, max, std, percentiles }) =>
+        count === 0 ? null : { min, max, mean, std, ...percentiles };
+
+    try {
+        const valueArray = await getArray(sourceId, storeUrl, storePath,
+            () => createStore(storeUrl, zarrFormat, storeMetadata, storeOptions));
+
+        const [arrayHeight, arrayWidth] = getSpatialShape(valueArray.meta.shape, dimensions);
+        const step = Math.max(1, Math.ceil(Math.sqrt((arrayHeight * arrayWidth) / maxPixels)));
+        const sampleHeight = Math.ceil(arrayHeight / step);
+        const sampleWidth = Math.ceil(arrayWidth / step);
+
+        log(`Sampling ${expression ? `expression ${expression}` : `band ${band}`} of ${storePath} every ${step} pixels (${sampleHeight} x ${sampleWidth})`);
+
+        // Packed samples are unpacked with the NODATA of their band, NaN where they have no value
+        const readSample = async (timeIndex, bandIndex) => {
+            const rows = (await valueArray.get(selectDimensions(dimensions, {
+                time: timeIndex,
+                band: bandIndex,
+                y: slice(0, arrayHeight, step),
+                x: slice(0, arrayWidth, step)
+            }, dimensionIndices), getOptions)).data;
+            if (!packing) return rows;
+            const bandNodata = expression ? (Array.isArray(nodata) ? nodata[bands.indexOf(bandIndex)] : nodata) : nodata;
+            return unpackRows(rows, packing, bandNodata);
+        };
+
+        // Expression outputs and unpacked values are NaN where they have no value, so only NaN is skipped
+        const sampleNodata = expression || packing ? null : nodata;
+        const readRows = async (timeIndex) => expression ?
+            evaluateExpression({ expression, bands, nodata: packing ? null : nodata, bandNames },
+                await Promise.all(bands.map(bandIndex => readSample(timeIndex, bandIndex))), sampleHeight, sampleWidth) :
+            readSample(timeIndex, band);
+
+        // A composite or difference is reduced over its timesteps into a single sample
+        let samples = timeIndices.map(timeIndex => () => readRows(timeIndex));
+        if (composite) {
+            samples = [async () => reduceComposite(await Promise.all(timeIndices.map(readRows)), composite,
+                sampleNodata, sampleHeight, sampleWidth)];
+        } else if (difference) {
+            samples = [async () => computeDifference(...await Promise.all(timeIndices.map(readRows)), difference.mode,
+                sampleNodata, sampleHeight, sampleWidth)];
+        }
+
+        const pooled = new Float64Array(perTime ? 0 : sampleHeight * sampleWidth * samples.length);
+        let pooledCount = 0;
+        const statistics = [];
+
+        for (const readSampleRows of samples) {
+            const rows = await readSampleRows();
+
+            const values = perTime ? new Float64Array(sampleHeight * sampleWidth) : pooled;
+            let count = perTime ? 0 : pooledCount;
+
+            for (const row of rows) {
+                for (let x = 0; x < row.length; x++) {
+                    const value = row[x];
+                    if (value === value && !isNodata(value, sampleNodata)) {
+                        values[count++] = value;
+                    }
+                }
+            }
+
+            if (perTime) {
+                statistics.push(flatten(computeStatistics(values, count, percentiles)));
+            } else {
+                pooledCount = count;
+            }
+        }
+
+        self.postMessage({
+            success: true,
+            statistics: perTime ? statistics : flatten(computeStatistics(pooled, pooledCount, percentiles))
+        });
+    } catch (error) {
+        self.postMessage({
+            error: error.message,
+            success: false,
+            aborted: controller.signal.aborted
+        });
+    } finally {
+        jobControllers.delete(jobId);
+    }
+}
+
 /**
  * Main worker message handler
  */
 self.onmessage = async function (e) {
+    if (e.data.type === 'result') {
+        settleMainThreadRequest(e.data);
+        return;
+    }
+
+    if (e.data.type === 'dispose') {
+        disposeSource(e.data.sourceId);
+        return;
+    }
+
+    // Cancel the in-flight fetches of a tile that is no longer wanted
+    if (e.data.type === 'abort') {
+        jobControllers.get(e.data.jobId)?.abort();
+        return;
+    }
+
+    if (e.data.type === 'value') {
+        await readPixelValues(e.data);
+        return;
+    }
+
+    if (e.data.type === 'zonalStatistics') {
+        await computeZonalStatistics(e.data);
+        return;
+    }
+
+    if (e.data.type === 'sampleStatistics') {
+        await sampleStatistics(e.data);
+        return;
+    }
+
     const startTime = performance.now();
 
     const {
         z, x, y, tileSize, tileRange,
         bands = [0],
         timeIndex = 0,
+        dimensions = DEFAULT_DIMENSIONS,
+        dimensionIndices = {},
+        expressions = null,
+        composite = null,
+        difference = null,
+        packing = null,
         nodata = null,
         normalization = null,
         renderType = 'raw',
@@ -179,25 +987,38 @@ self.onmessage = async function (e) {
         nodataReplaceValue = 0,
         maskNodata = true,
         displayRenderParams = null,
+        colormap = null,
+        categories = null,
         storeUrl,
         storePath,
+        zarrFormat = 2,
+        storeMetadata = null,
+        storeOptions = null,
+        sourceId = null,
+        chunkCache = true,
+        prefetch = false,
+        jobId = null,
         verbose = false
     } = e.data;
 
+    // Chunk requests of this job are cancelled through its signal
+    const controller = new AbortController();
+    jobControllers.set(jobId, controller);
+    const getOptions = { storeOptions: { signal: controller.signal } };
+
+    chunkCacheEnabled = chunkCache;
+
     const log = verbose ? console.log.bind(console, '[ZarrWorker]') : () => { };
 
     log("Nodata replace value:", nodataReplaceValue);
 
-    log('Worker processing tile:', { z, x, y, renderType, bands, timeIndex });
+    log('Worker processing tile:', { z, x, y, renderType, bands, timeIndex, composite: composite?.method, difference: difference?.mode });
 
     try {
-        // Open Zarr array
-        log('Opening Zarr array:', storePath);
-        const valueArray = await openArray({
-            store: storeUrl,
-            path: storePath,
-            mode: 'r'
-        });
+        // Open Zarr array once per worker (v2 directly, v3 through the translating store)
+        log(`Getting Zarr v${zarrFormat} array:`, storePath);
+        const valueArray = await getArray(sourceId, storeUrl, storePath,
+            () => createStore(storeUrl, zarrFormat, storeMetadata, storeOptions));
 
         log('Array metadata:', {
             shape: valueArray.meta.shape,
@@ -206,12 +1027,65 @@ self.onmessage = async function (e) {
         });
 
         // Calculate array indices for this tile
-        const indices = calculateArrayIndices([z, x, y], valueArray.meta.shape, tileSize, tileRange);
+        const indices = calculateArrayIndices([z, x, y], getSpatialShape(valueArray.meta.shape, dimensions), tileSize, tileRange);
         log('Calculated indices:', indices);
 
-        // Determine output format
+        // Packed bands are unpacked as they are read, with the NODATA of each dataset band;
+        // from there on missing values are NaN
+        // (composites and differences carry the NODATA of their input bands)
+        const packedNodata = new Map();
+        if (packing) {
+            const bandsNodata = (composite || difference)?.nodata ?? nodata;
+            (expressions || bands).forEach((channel, i) => expressions ?
+                channel.bands.forEach((bandIndex, j) => packedNodata.set(bandIndex, Array.isArray(channel.nodata) ? channel.nodata[j] : channel.nodata)) :
+                packedNodata.set(channel, Array.isArray(bandsNodata) ? bandsNodata[i] : bandsNodata));
+        }
+
+        // Each dataset band is read once per timestep, however many channels or expressions use it
+        const bandReads = new Map();
+        const readBand = (bandIndex, readTimeIndex = timeIndex) => {
+            const key = `${readTimeIndex}/${bandIndex}`;
+            if (!bandReads.has(key)) {
+                const selection = selectDimensions(dimensions, {
+                    time: readTimeIndex,
+                    band: bandIndex,
+                    y: slice(indices.indices.y[0], indices.indices.y[1]),
+                    x: slice(indices.indices.x[0], indices.indices.x[1])
+                }, dimensionIndices);
+                log(`Reading band ${bandIndex} with selection:`, selection);
+                bandReads.set(key, valueArray.get(selection, getOptions).then(data => packing ?
+                    unpackRows(data.data, packing, packedNodata.get(bandIndex)) : data.data));
+            }
+            return bandReads.get(key);
+        };
+
+        // Expressions are rendered instead of the bands
+        const channels = expressions || bands;
+        const inputBands = expressions ? [...new Set(expressions.flatMap(channel => channel.bands))] : bands;
+
+        // Rows of a channel at a timestep: the band, or the expression over its input bands
+        const readChannel = async (channel, readTimeIndex) => expressions ?
+            evaluateExpression(packing ? { ...channel, nodata: null } : channel, await Promise.all(channel.bands.map(bandIndex => readBand(bandIndex, readTimeIndex))),
+                indices.dataSize.height, indices.dataSize.width) :
+            readBand(channel, readTimeIndex);
+
+        // A composite reads every timestep of its window, a difference both of its timesteps
+        const readTimeIndices = (composite || difference)?.timeIndices ?? [timeIndex];
+
+        // Prefetch only reads the chunks so they land in the shared chunk cache
+        if (prefetch) {
+            await Promise.all(readTimeIndices.flatMap(t => inputBands.map(bandIndex => readBand(bandIndex, t))));
+
+            log(`Prefetched tile (${z}, ${x}, ${y}) at time index ${timeIndex}`);
+            self.postMessage({ success: true, prefetched: true });
+            return;
+        }
+
+        // Determine output format; packed bands mark NODATA and values outside valid_range as NaN,
+        // with or without a _FillValue
         const { ArrayType, channelCount, hasAlpha } = determineOutputFormat(
-            renderType, normalization, (nodata !== null && maskNodata), bands.length
+            renderType, normalization, ((nodata !== null || packing !== null) && maskNodata), channels.length,
+            renderType === 'display' ? colormap || categories : null
         );
 
         log('Output format:', {
@@ -237,21 +1111,27 @@ self.onmessage = async function (e) {
 
         log('Starting parallel band processing...');
 
-        // Process all bands in parallel
-        const bandPromises = bands.map(async (bandIndex, bandArrayIndex) => {
-            // Get data selection for this band
-            const selection = [
-                timeIndex,
-                bandIndex,
-                slice(indices.indices.y[0], indices.indices.y[1]),
-                slice(indices.indices.x[0], indices.indices.x[1])
-            ];
+        const colormapped = renderType === 'display' && colormap !== null;
 
-            log(`Processing band ${bandIndex} with selection:`, selection);
+        // Categorical tiles color each class value, by its index in the class colors
+        const categoryIndices = renderType === 'display' && categories ?
+            new Map(categories.values.map((value, i) => [value, i])) : null;
 
-            // Fetch band data
-            const data = await valueArray.get(selection);
-            const bandNodata = Array.isArray(nodata) ? nodata[bandArrayIndex] : nodata;
+        // Process all bands in parallel
+        const bandPromises = channels.map(async (channel, bandArrayIndex) => {
+            // Fetch band data, or evaluate the expression over its input bands, and reduce
+            // a composite or difference over its timesteps
+            let rows;
+            if (composite || difference) {
+                const timeRows = await Promise.all(readTimeIndices.map(t => readChannel(channel, t)));
+                const inputNodata = expressions || packing ? null : (composite || difference).nodata?.[bandArrayIndex] ?? null;
+                rows = composite ?
+                    reduceComposite(timeRows, composite, inputNodata, indices.dataSize.height, indices.dataSize.width) :
+                    computeDifference(...timeRows, difference.mode, inputNodata, indices.dataSize.height, indices.dataSize.width);
+            } else {
+                rows = await readChannel(channel, timeIndex);
+            }
+            const bandNodata = packing ? NaN : Array.isArray(nodata) ? nodata[bandArrayIndex] : nodata;
 
             // Get normalization range for this band
             const normRange = normalization && normalization[bandArrayIndex] ?
@@ -265,7 +1145,19 @@ self.onmessage = async function (e) {
             // Process each pixel directly into final tileData
             for (let y = 0; y < indices.dataSize.height; y++) {
                 for (let x = 0; x < indices.dataSize.width; x++) {
-                    let pixelValue = data.data[y][x];
+                    let pixelValue = rows[y][x];
+
+                    // Class values are colored as read, values of no class are transparent
+                    if (categoryIndices) {
+                        const tileIndex = (y * tileSize + x) * 4;
+                        const classIndex = categoryIndices.get(pixelValue);
+                        if (classIndex === undefined || (maskNodata && pixelValue === bandNodata)) {
+                            tileData.fill(0, tileIndex, tileIndex + 4);
+                        } else {
+                            tileData.set(categories.colors.subarray(classIndex * 4, classIndex * 4 + 4), tileIndex);
+                        }
+                        continue;
+                    }
 
                     // Apply NODATA strategy
                     const nodataResult = applyNodataStrategy(
@@ -300,6 +1192,18 @@ self.onmessage = async function (e) {
                         }
                     }
 
+                    // Colormapped tiles take the lookup table color of the normalized value
+                    if (colormapped) {
+                        const tileIndex = (y * tileSize + x) * 4;
+                        if (pixelValue !== pixelValue || (isNodataPixel && maskNodata)) {
+                            tileData.fill(0, tileIndex, tileIndex + 4);
+                        } else {
+                            const lutIndex = Math.round(Math.max(0, Math.min(1, pixelValue)) * (COLORMAP_LUT_SIZE - 1)) * 4;
+                            tileData.set(colormap.subarray(lutIndex, lutIndex + 4), tileIndex);
+                        }
+                        continue;
+                    }
+
                     // Write directly to final tileData
                     const tileIndex = (y * tileSize + x) * channelCount + bandArrayIndex;
                     if (tileIndex < tileData.length) {
@@ -318,7 +1222,7 @@ self.onmessage = async function (e) {
                 }
             }
 
-            log(`Band ${bandIndex} processed: ${indices.dataSize.width * indices.dataSize.height} pixels`);
+            log(`Band ${expressions ? channel.expression : channel} processed: ${indices.dataSize.width * indices.dataSize.height} pixels`);
             return bandArrayIndex;
         });
 
@@ -360,14 +1264,18 @@ self.onmessage = async function (e) {
         }, [tileData.buffer]);
 
     } catch (error) {
-        log('Worker error:', error);
+        const aborted = controller.signal.aborted;
+        log(aborted ? 'Job aborted' : 'Worker error:', error);
 
         // Send error back to main thread
         self.postMessage({
             error: error.message,
             success: false,
+            aborted,
             stack: error.stack
         });
+    } finally {
+        jobControllers.delete(jobId);
     }
 };
 